@@ -0,0 +1,154 @@
+/**
+ * Bulk Operations - Add or delete many products with bounded concurrency
+ *
+ * Every item is sent on its own; a failed item is reported and the rest carry on.
+ * Progress is reported through an onProgress callback and the run can be
+ * cancelled with an AbortSignal: items not started yet are then skipped.
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { ProductApiError, ValidationError } = require('./errors');
+
+/**
+ * Run one API call, turning thrown API errors into failed results
+ * @param {Function} operation - async () => result
+ * @returns {Promise<Object>} Result
+ */
+async function settle(operation) {
+    try {
+        return await operation();
+    } catch (error) {
+        if (!(error instanceof ProductApiError)) {
+            throw error;
+        }
+        const result = {
+            success: false,
+            status: error.status,
+            error: error,
+            message: error.message
+        };
+        if (error instanceof ValidationError) {
+            result.errors = error.errors;
+        }
+        return result;
+    }
+}
+
+/**
+ * Run an operation over every item and build the report
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Array} items - Items to process
+ * @param {Object} options - Bulk options, see addProducts()
+ * @param {Function} getId - item => identifier reported in events and results
+ * @param {Function} operation - async item => API result
+ * @returns {Promise<Object>} Bulk report
+ */
+async function runBulk(api, items, options, getId, operation) {
+    const { concurrency = 4, signal, onProgress } = options;
+    const startTime = Date.now();
+    const counts = { total: items.length, completed: 0, succeeded: 0, failed: 0, cancelled: 0 };
+
+    const emit = (type, index, item, extra = {}) => {
+        if (typeof onProgress !== 'function') {
+            return;
+        }
+        const elapsed = Date.now() - startTime;
+        const remaining = counts.total - counts.completed - counts.cancelled;
+        const progress = {
+            type: type,
+            index: index,
+            id: getId(item),
+            ...extra,
+            ...counts,
+            elapsed: elapsed,
+            // Average time per finished item times what is left, unknown until one finishes
+            eta: counts.completed > 0 ? Math.round(elapsed / counts.completed * remaining) : null
+        };
+        try {
+            onProgress(progress);
+        } catch (error) {
+            api.requestLogger.log('warn', `onProgress hook threw: ${error.message}`, { hook: 'onProgress' });
+        }
+    };
+
+    const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+        const id = getId(item);
+        if (signal && signal.aborted) {
+            counts.cancelled++;
+            return { index, id, status: 'cancelled', result: null, message: 'Cancelled' };
+        }
+
+        emit('started', index, item);
+        const result = await settle(() => operation(item));
+        counts.completed++;
+
+        if (result.success) {
+            counts.succeeded++;
+            emit('succeeded', index, item, { result });
+            return { index, id, status: 'succeeded', result, message: null };
+        }
+
+        counts.failed++;
+        emit('failed', index, item, { result, message: result.message });
+        return { index, id, status: 'failed', result, message: result.message };
+    });
+
+    return {
+        success: counts.failed === 0 && counts.cancelled === 0,
+        cancelled: counts.cancelled > 0,
+        results: results,
+        summary: {
+            total: counts.total,
+            succeeded: counts.succeeded,
+            failed: counts.failed,
+            cancelled: counts.cancelled
+        },
+        duration: Date.now() - startTime
+    };
+}
+
+/**
+ * Add or update many products
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Array<Object>} products - addProduct() payloads
+ * @param {Object} [options] - Bulk options
+ * @param {number} [options.concurrency=4] - Maximum requests in flight
+ * @param {AbortSignal} [options.signal] - Cancels the items not started yet when aborted
+ * @param {Function} [options.onProgress] - Called with { type, index, id, total, completed, succeeded,
+ *   failed, cancelled, elapsed, eta } where type is 'started', 'succeeded' or 'failed'
+ * @returns {Promise<Object>} { success, cancelled, results, summary, duration }
+ */
+async function addProducts(api, products, options = {}) {
+    if (!Array.isArray(products)) {
+        throw new ValidationError('products must be an array', 'products');
+    }
+    return await runBulk(
+        api,
+        products,
+        options,
+        product => (product && product.sourceProductId !== undefined ? product.sourceProductId : null),
+        product => api.addProduct(product)
+    );
+}
+
+/**
+ * Delete many products
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Array<number|string>} friendlyIds - Product friendly IDs
+ * @param {Object} [options] - Same options as addProducts()
+ * @returns {Promise<Object>} { success, cancelled, results, summary, duration }
+ */
+async function deleteProducts(api, friendlyIds, options = {}) {
+    if (!Array.isArray(friendlyIds)) {
+        throw new ValidationError('friendlyIds must be an array', 'friendlyIds');
+    }
+    return await runBulk(api, friendlyIds, options, friendlyId => friendlyId, friendlyId => api.deleteProduct(friendlyId));
+}
+
+module.exports = {
+    addProducts,
+    deleteProducts
+};
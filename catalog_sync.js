@@ -0,0 +1,251 @@
+/**
+ * Catalog Sync - Reconcile a local product feed against the store
+ *
+ * Matches desired products against the remote catalog by sourceProductId
+ * and works out create, update, deactivate and delete actions.
+ * Subproducts are matched by their own sourceProductId.
+ */
+
+const { toProductPayload, diffProducts } = require('./product_payload');
+const { ValidationError, ProductApiError } = require('./errors');
+
+// What to do with remote products that are no longer in the feed
+const MISSING_POLICIES = ['deactivate', 'delete', 'ignore'];
+
+/**
+ * Fetch every active and inactive product from the store
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Object} options - Fetch options
+ * @param {string} options.productType - Product types to fetch
+ * @param {number} options.pageSize - Items per page
+ * @returns {Promise<Object>} { success, products } or the failed getProducts() result
+ */
+async function fetchCatalog(api, options) {
+    const products = [];
+
+    for (const isActive of [true, false]) {
+        const result = await api.getAllProducts({
+            productType: options.productType,
+            isActive: isActive,
+            pageSize: options.pageSize
+        });
+        if (!result.success) {
+            return result;
+        }
+        products.push(...result.data.products);
+    }
+
+    return { success: true, products: products };
+}
+
+/**
+ * Work out the actions needed to make the remote catalog match the feed
+ *
+ * @param {Array<Object>} desiredProducts - addProduct() payloads
+ * @param {Array<Object>} remoteProducts - Product objects from getProducts()
+ * @param {Object} [options] - Plan options
+ * @param {string} [options.missingPolicy='deactivate'] - 'deactivate', 'delete' or 'ignore'
+ * @param {string} [options.provider] - Only treat remote products of this provider as missing
+ * @returns {Array<Object>} Plan entries { action, sourceProductId, friendlyId, name, changes, payload }
+ */
+function planSync(desiredProducts, remoteProducts, options = {}) {
+    const { missingPolicy = 'deactivate', provider } = options;
+
+    if (!MISSING_POLICIES.includes(missingPolicy)) {
+        throw new ValidationError(`missingPolicy must be one of: ${MISSING_POLICIES.join(', ')}`, 'missingPolicy');
+    }
+
+    const remoteById = new Map();
+    for (const product of remoteProducts) {
+        remoteById.set(String(product.sourceProductId), product);
+    }
+
+    const plan = [];
+    const seen = new Set();
+
+    desiredProducts.forEach((desired, index) => {
+        if (!desired || !desired.sourceProductId) {
+            throw new ValidationError('sourceProductId is required for every desired product', `desiredProducts[${index}].sourceProductId`);
+        }
+        const id = String(desired.sourceProductId);
+        if (seen.has(id)) {
+            throw new ValidationError(`Duplicate sourceProductId in desired products: ${id}`, `desiredProducts[${index}].sourceProductId`);
+        }
+        seen.add(id);
+
+        const remote = remoteById.get(id);
+        if (!remote) {
+            plan.push({
+                action: 'create',
+                sourceProductId: id,
+                friendlyId: null,
+                name: desired.name,
+                changes: [],
+                payload: desired
+            });
+            return;
+        }
+
+        // Subproducts dropped from the feed are kept with stock 0, which disables them
+        const payload = { ...desired, subproducts: [...(desired.subproducts || [])] };
+        if (missingPolicy !== 'ignore') {
+            const desiredSubIds = new Set(payload.subproducts.map(sub => String(sub.sourceProductId)));
+            for (const sub of toProductPayload(remote).subproducts) {
+                if (!desiredSubIds.has(String(sub.sourceProductId)) && sub.stock !== 0) {
+                    payload.subproducts.push({ ...sub, stock: 0 });
+                }
+            }
+        }
+
+        const changes = diffProducts(payload, remote);
+        plan.push({
+            action: changes.length > 0 ? 'update' : 'unchanged',
+            sourceProductId: id,
+            friendlyId: remote.friendlyId,
+            name: desired.name,
+            changes: changes,
+            payload: payload
+        });
+    });
+
+    if (missingPolicy === 'ignore') {
+        return plan;
+    }
+
+    for (const remote of remoteProducts) {
+        const id = String(remote.sourceProductId);
+        if (seen.has(id) || (provider && remote.provider !== provider)) {
+            continue;
+        }
+        // Already inactive products need no deactivation
+        if (missingPolicy === 'deactivate' && remote.isActive === false) {
+            continue;
+        }
+
+        plan.push({
+            action: missingPolicy,
+            sourceProductId: id,
+            friendlyId: remote.friendlyId,
+            name: remote.name,
+            changes: missingPolicy === 'deactivate' ? [{ path: 'active', from: true, to: false }] : [],
+            payload: missingPolicy === 'deactivate' ? { ...toProductPayload(remote), active: false } : null
+        });
+    }
+
+    return plan;
+}
+
+/**
+ * Run a single plan entry against the API
+ * Errors are turned into failed results so one product cannot abort the sync,
+ * also when the client throws on error.
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Object} entry - Plan entry
+ * @param {boolean} [applyDefaults=true] - Fill in addProduct() defaults on created products
+ * @returns {Promise<Object>} API result, or a failed result carrying the thrown error
+ */
+async function executeEntry(api, entry, applyDefaults = true) {
+    try {
+        if (entry.action === 'delete') {
+            return await api.deleteProduct(entry.friendlyId);
+        }
+        // Feed prices had the client's price rules applied before planning. Existing
+        // products keep the warranty the store does not report unless the feed sets it.
+        return await api.addProduct(entry.payload, {
+            priceRules: false,
+            applyDefaults: entry.action === 'create' ? applyDefaults : false
+        });
+    } catch (error) {
+        if (!(error instanceof ProductApiError)) {
+            throw error;
+        }
+        return {
+            success: false,
+            status: error.status,
+            error: error,
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Sync the store catalog with a local product feed
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {Array<Object>} desiredProducts - addProduct() payloads describing the full feed, with supplier
+ *   costs as prices when the client has priceRules
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.dryRun=false] - Return the plan without sending anything
+ * @param {string} [options.missingPolicy='deactivate'] - What to do with products missing from the feed:
+ *   'deactivate' (re-upsert with active: false), 'delete' or 'ignore'
+ * @param {string} [options.provider] - Only deactivate/delete remote products of this provider
+ * @param {string} [options.productType='auto,manual,inventory'] - Product types to fetch from the store
+ * @param {number} [options.pageSize=50] - Items per page when fetching the store catalog
+ * @param {boolean} [options.applyDefaults=true] - Give created products the addProduct() defaults, e.g. warrantyDays
+ * @returns {Promise<Object>} { success, dryRun, plan, results, summary }
+ */
+async function syncCatalog(api, desiredProducts, options = {}) {
+    const {
+        dryRun = false,
+        productType = 'auto,manual,inventory',
+        pageSize = 50,
+        applyDefaults = true
+    } = options;
+
+    if (!Array.isArray(desiredProducts)) {
+        throw new ValidationError('desiredProducts must be an array', 'desiredProducts');
+    }
+
+    const catalog = await fetchCatalog(api, { productType, pageSize });
+    if (!catalog.success) {
+        return catalog;
+    }
+
+    // Feed prices are supplier costs when the client has price rules; compare the store prices they give
+    const desired = api.priceRules ? desiredProducts.map(product => api.priceRules.apply(product)) : desiredProducts;
+    const plan = planSync(desired, catalog.products, options);
+    const summary = { create: 0, update: 0, unchanged: 0, deactivate: 0, delete: 0, failed: 0 };
+    const results = [];
+
+    for (const entry of plan) {
+        summary[entry.action]++;
+
+        if (dryRun || entry.action === 'unchanged') {
+            continue;
+        }
+
+        const result = await executeEntry(api, entry, applyDefaults);
+        if (!result.success) {
+            summary.failed++;
+        }
+        results.push({
+            action: entry.action,
+            sourceProductId: entry.sourceProductId,
+            friendlyId: result.success && result.data && result.data.friendlyId !== undefined
+                ? result.data.friendlyId
+                : entry.friendlyId,
+            name: entry.name,
+            changes: entry.changes,
+            success: result.success,
+            status: result.status,
+            message: result.message
+        });
+    }
+
+    return {
+        success: summary.failed === 0,
+        dryRun: dryRun,
+        plan: plan,
+        results: results,
+        summary: summary
+    };
+}
+
+module.exports = {
+    MISSING_POLICIES,
+    fetchCatalog,
+    planSync,
+    syncCatalog
+};
@@ -0,0 +1,294 @@
+/**
+ * Categories - Discover store categories, suggest close matches and map supplier labels
+ *
+ * Category and subcategory names are free text and cannot be changed once a
+ * product is created, so a typo creates a stray category for good. Known
+ * categories come from the documented reference list and from the
+ * category/subcategory objects on the store's products.
+ */
+
+const { CATEGORIES } = require('./product_validator');
+const { ValidationError } = require('./errors');
+
+// Suggestions scoring below this similarity (0 to 1) are not offered
+const MIN_SUGGESTION_SCORE = 0.5;
+
+/**
+ * Normalize a name for comparison: lower case, punctuation and extra spaces removed
+ * Letters and digits of every script are kept, so e.g. Cyrillic names do not all become empty.
+ * @param {string} name - Category or subcategory name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character insertions, deletions or substitutions
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Score how close two names are
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for names equal once normalized, down to 0 for unrelated names
+ */
+function similarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    // Names without letters or digits are not similar to anything, not even each other
+    if (!left || !right) {
+        return 0;
+    }
+    if (left === right) {
+        return 1;
+    }
+    const score = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+    // "Instagram" should still find "Instagram Accounts"
+    const contained = left.includes(right) || right.includes(left) ? 0.8 : 0;
+    return Math.max(score, contained);
+}
+
+/**
+ * Build the category list from the reference list and the store's products
+ *
+ * @param {Array<Object>} [products] - Product objects from getProducts()
+ * @returns {Array<Object>} Categories as { name, slug, inReference, productCount, subcategories },
+ *   subcategories as { name, slug, inReference, productCount }
+ */
+function listCategories(products = []) {
+    const categories = new Map();
+
+    const addCategory = (name, details = {}) => {
+        if (!categories.has(name)) {
+            categories.set(name, { name, slug: null, inReference: false, productCount: 0, subcategories: new Map() });
+        }
+        const category = categories.get(name);
+        Object.assign(category, details);
+        return category;
+    };
+    const addSubcategory = (category, name, details = {}) => {
+        if (!category.subcategories.has(name)) {
+            category.subcategories.set(name, { name, slug: null, inReference: false, productCount: 0 });
+        }
+        const subcategory = category.subcategories.get(name);
+        Object.assign(subcategory, details);
+        return subcategory;
+    };
+
+    for (const [name, subcategories] of Object.entries(CATEGORIES)) {
+        const category = addCategory(name, { inReference: true });
+        for (const subcategory of subcategories) {
+            addSubcategory(category, subcategory, { inReference: true });
+        }
+    }
+
+    for (const product of products) {
+        if (!product.category || !product.category.name) {
+            continue;
+        }
+        const category = addCategory(product.category.name, { slug: product.category.slug || null });
+        category.productCount++;
+        if (product.subcategory && product.subcategory.name) {
+            addSubcategory(category, product.subcategory.name, { slug: product.subcategory.slug || null }).productCount++;
+        }
+    }
+
+    return Array.from(categories.values()).map(category => ({
+        ...category,
+        subcategories: Array.from(category.subcategories.values())
+    }));
+}
+
+/**
+ * Suggest known category/subcategory pairs close to a label
+ *
+ * @param {string} label - Name to match, e.g. 'Instagram accounts' or 'Email / gmail'
+ * @param {Array<Object>} categories - Output of listCategories()
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.limit=3] - Maximum number of suggestions
+ * @param {number} [options.minScore=0.5] - Minimum similarity, from 0 to 1
+ * @returns {Array<Object>} Suggestions as { categoryName, subcategoryName, score }, best first
+ */
+function suggestCategories(label, categories, options = {}) {
+    const { limit = 3, minScore = MIN_SUGGESTION_SCORE } = options;
+    const suggestions = [];
+
+    for (const category of categories) {
+        const categoryWords = normalizeName(category.name).split(' ');
+        for (const subcategory of category.subcategories) {
+            // The words a subcategory does not share with its category, e.g. 'facebook' in Accounts / Facebook Accounts
+            const distinctive = normalizeName(subcategory.name).split(' ').filter(word => !categoryWords.includes(word)).join(' ');
+            const score = Math.max(
+                similarity(label, subcategory.name),
+                similarity(label, `${category.name} ${subcategory.name}`),
+                similarity(label, distinctive)
+            );
+            if (score >= minScore) {
+                suggestions.push({ categoryName: category.name, subcategoryName: subcategory.name, score });
+            }
+        }
+    }
+
+    suggestions.sort((a, b) => b.score - a.score);
+    // A name that only differs in case or punctuation is the one meant
+    const exact = suggestions.filter(item => item.score === 1);
+    return (exact.length > 0 ? exact : suggestions).slice(0, limit);
+}
+
+/**
+ * Format suggestions for an error message
+ * @param {Array<Object>} suggestions - Output of suggestCategories()
+ * @returns {string} e.g. " Did you mean: Accounts / Instagram Accounts?"
+ */
+function formatSuggestions(suggestions) {
+    if (suggestions.length === 0) {
+        return '';
+    }
+    return ` Did you mean: ${suggestions.map(item => `${item.categoryName} / ${item.subcategoryName}`).join(', ')}?`;
+}
+
+/**
+ * Check a category/subcategory pair against the known categories
+ *
+ * @param {Array<Object>} categories - Output of listCategories()
+ * @param {string} categoryName - Category name
+ * @param {string} subcategoryName - Subcategory name
+ * @returns {Array<Object>} Problems as { path, message, suggestions }, empty if the pair is known
+ */
+function checkCategory(categories, categoryName, subcategoryName) {
+    const category = categories.find(item => item.name === categoryName);
+    const suggestions = suggestCategories(`${categoryName} ${subcategoryName}`, categories);
+
+    if (!category) {
+        return [{
+            path: 'categoryName',
+            message: `Unknown categoryName: ${categoryName}.${formatSuggestions(suggestions)}`,
+            suggestions
+        }];
+    }
+    if (!category.subcategories.some(item => item.name === subcategoryName)) {
+        const sameCategory = suggestCategories(subcategoryName, [category]);
+        return [{
+            path: 'subcategoryName',
+            message: `Unknown subcategoryName for ${categoryName}: ${subcategoryName}.${formatSuggestions(sameCategory)}`,
+            suggestions: sameCategory
+        }];
+    }
+    return [];
+}
+
+/**
+ * Parse a mapping target
+ * @param {string|Object} target - 'Category / Subcategory' or { categoryName, subcategoryName }
+ * @returns {Object|null} { categoryName, subcategoryName }, or null if malformed
+ */
+function parseTarget(target) {
+    if (target && typeof target === 'object') {
+        return target.categoryName && target.subcategoryName
+            ? { categoryName: target.categoryName, subcategoryName: target.subcategoryName }
+            : null;
+    }
+    const parts = String(target).split('/').map(part => part.trim());
+    // Subcategory names may contain a slash themselves, e.g. 'Twitter/X Accounts'
+    return parts.length >= 2 && parts[0]
+        ? { categoryName: parts[0], subcategoryName: parts.slice(1).join('/') }
+        : null;
+}
+
+/**
+ * Map supplier category labels to store categories
+ */
+class CategoryMapper {
+    /**
+     * @param {Object} [options] - Mapper options
+     * @param {Object} [options.mappings] - Supplier label => 'Category / Subcategory' or { categoryName, subcategoryName }
+     * @param {Array<Object>} [options.categories] - Known categories (default: the reference list),
+     *   e.g. from productApi.getCategories()
+     * @param {boolean} [options.allowNewCategories=false] - Accept mapping targets that are not known categories
+     * @param {boolean} [options.autoMatch=true] - Map unmapped labels equal to a known subcategory
+     *   (ignoring case and punctuation)
+     * @throws {ValidationError} If a mapping is malformed or targets an unknown category
+     */
+    constructor(options = {}) {
+        const { mappings = {}, categories = listCategories(), allowNewCategories = false, autoMatch = true } = options;
+
+        this.categories = categories;
+        this.autoMatch = autoMatch;
+        this.mappings = new Map();
+
+        for (const [label, target] of Object.entries(mappings)) {
+            const parsed = parseTarget(target);
+            if (!parsed) {
+                throw new ValidationError(`Mapping for "${label}" must be 'Category / Subcategory' or { categoryName, subcategoryName }`, `mappings.${label}`);
+            }
+            if (!allowNewCategories) {
+                const [problem] = checkCategory(categories, parsed.categoryName, parsed.subcategoryName);
+                if (problem) {
+                    throw new ValidationError(`Mapping for "${label}": ${problem.message}`, `mappings.${label}`);
+                }
+            }
+            this.mappings.set(normalizeName(label), parsed);
+        }
+    }
+
+    /**
+     * Map a supplier label to a store category
+     *
+     * @param {string} label - Supplier category label
+     * @returns {Object} { categoryName, subcategoryName }
+     * @throws {ValidationError} If the label has no mapping, with suggestions in the message and error.suggestions
+     */
+    map(label) {
+        const mapped = this.mappings.get(normalizeName(label));
+        if (mapped) {
+            return { ...mapped };
+        }
+
+        const suggestions = suggestCategories(label, this.categories);
+        if (this.autoMatch && suggestions.length === 1 && suggestions[0].score === 1) {
+            return { categoryName: suggestions[0].categoryName, subcategoryName: suggestions[0].subcategoryName };
+        }
+
+        const error = new ValidationError(`No category mapping for "${label}".${formatSuggestions(suggestions)}`, 'categoryName');
+        error.suggestions = suggestions;
+        throw error;
+    }
+
+    /**
+     * Suggest store categories for a supplier label
+     * @param {string} label - Supplier category label
+     * @param {Object} [options] - Same options as suggestCategories()
+     * @returns {Array<Object>} { categoryName, subcategoryName, score }, best first
+     */
+    suggest(label, options = {}) {
+        return suggestCategories(label, this.categories, options);
+    }
+}
+
+module.exports = {
+    normalizeName,
+    similarity,
+    listCategories,
+    suggestCategories,
+    checkCategory,
+    CategoryMapper
+};
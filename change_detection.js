@@ -0,0 +1,167 @@
+/**
+ * Change Detection - Skip addProduct() calls that would not change anything
+ *
+ * Every product sent is remembered by sourceProductId as a fingerprint (SHA-256
+ * of the normalized payload) together with the payload itself. Sending the same
+ * payload again is skipped; a different one is sent and reported as a field-level
+ * diff against the previous payload.
+ *
+ * Any object with get, set, delete, clear and (to forget deleted products)
+ * entries works as a store. Entries look like
+ * { fingerprint, payload, productId, friendlyId, seeded, createdAt }.
+ */
+
+const crypto = require('crypto');
+const { toProductPayload, diffProducts } = require('./product_payload');
+const { MemoryStore, JsonFileStore } = require('./kv_store');
+
+/**
+ * In-memory change store, lost when the process exits
+ */
+class MemoryChangeStore extends MemoryStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are ignored, so the product is sent again
+     */
+    constructor(options = {}) {
+        super({ maxAge: options.maxAge });
+    }
+}
+
+/**
+ * Change store kept in a JSON file, so unchanged products are also skipped on the next run
+ */
+class JsonFileChangeStore extends JsonFileStore {
+    /**
+     * @param {string} filePath - Store file, created if missing
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are ignored, so the product is sent again
+     */
+    constructor(filePath, options = {}) {
+        super(filePath, { maxAge: options.maxAge });
+    }
+}
+
+/**
+ * Serialize a value with sorted object keys
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text that does not depend on key order
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Build the fingerprint of a product
+ * Key order and subproduct order do not matter; empty optional fields are ignored
+ * and a missing active flag counts as true, like addProduct() sends it.
+ *
+ * @param {Object} product - addProduct() payload or getProducts() object
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintProduct(product) {
+    const payload = { active: true, ...toProductPayload(product) };
+    payload.subproducts = [...payload.subproducts].sort((a, b) => String(a.sourceProductId).localeCompare(String(b.sourceProductId)));
+    return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Compare a payload with what was last sent for its sourceProductId
+ *
+ * @param {Object} store - Change store
+ * @param {Object} payload - addProduct() payload about to be sent
+ * @returns {Promise<Object>} { fingerprint, previous, unchanged, changes } where previous is the stored
+ *   entry (null for a product not seen before) and changes lists { path, from, to } against it
+ */
+async function detectChanges(store, payload) {
+    const fingerprint = fingerprintProduct(payload);
+    const previous = await store.get(String(payload.sourceProductId));
+    if (!previous) {
+        return { fingerprint, previous: null, unchanged: false, changes: [] };
+    }
+
+    // Entries seeded from the store lack fields it does not report, so fields set only on the
+    // seeded side are not compared; a field the payload sets and the entry lacks is a change,
+    // so the product is sent and stored in full. A payload this client sent is compared in full
+    const changes = diffProducts(payload, previous.payload, { includeUnset: true })
+        .filter(change => !previous.seeded || change.to !== undefined);
+    const unchanged = previous.seeded ? changes.length === 0 : previous.fingerprint === fingerprint;
+    return { fingerprint, previous, unchanged, changes };
+}
+
+/**
+ * Remember a payload that was sent
+ * @param {Object} store - Change store
+ * @param {Object} payload - addProduct() payload sent
+ * @param {string} fingerprint - Its fingerprint
+ * @param {Object} [ids] - { productId, friendlyId } returned by addProduct()
+ * @returns {Promise<void>}
+ */
+async function recordProduct(store, payload, fingerprint, ids = {}) {
+    await store.set(String(payload.sourceProductId), {
+        fingerprint: fingerprint,
+        payload: payload,
+        productId: ids.productId !== undefined ? ids.productId : null,
+        friendlyId: ids.friendlyId !== undefined ? ids.friendlyId : null,
+        seeded: false,
+        createdAt: Date.now()
+    });
+}
+
+/**
+ * Fill a change store from store products, e.g. before the first run with an empty store
+ * @param {Object} store - Change store
+ * @param {Array<Object>} products - getProducts() objects or addProduct() payloads
+ * @returns {Promise<number>} Number of products stored
+ */
+async function seedProducts(store, products) {
+    // Not awaited one by one, so a file store can save them in a single write
+    await Promise.all(products.map(product => {
+        const payload = toProductPayload(product);
+        return store.set(String(payload.sourceProductId), {
+            fingerprint: fingerprintProduct(payload),
+            payload: payload,
+            productId: product.id !== undefined ? product.id : null,
+            friendlyId: product.friendlyId !== undefined ? product.friendlyId : null,
+            seeded: true,
+            createdAt: Date.now()
+        });
+    }));
+    return products.length;
+}
+
+/**
+ * Forget the entries of a deleted product
+ * @param {Object} store - Change store
+ * @param {number|string} friendlyId - Friendly ID of the deleted product
+ * @returns {Promise<void>}
+ */
+async function forgetFriendlyId(store, friendlyId) {
+    if (typeof store.entries !== 'function') {
+        return;
+    }
+    for (const [key, entry] of await store.entries()) {
+        if (entry && entry.friendlyId !== null && String(entry.friendlyId) === String(friendlyId)) {
+            await store.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    MemoryChangeStore,
+    JsonFileChangeStore,
+    fingerprintProduct,
+    detectChanges,
+    recordProduct,
+    seedProducts,
+    forgetFriendlyId
+};
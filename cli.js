@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * hstockplus - Command-line tool wrapping ProductApi
+ *
+ * Usage: hstockplus <command> [options]
+ *
+ * The API key is read from the HSTOCKPLUS_API_KEY environment variable,
+ * or from a JSON config file ({ "apikey": "..." }) given with --config,
+ * HSTOCKPLUS_CONFIG or ~/.hstockplusrc. The config file may also set
+ * baseUrl, timeout, proxy, headers and keepAlive; HSTOCKPLUS_BASE_URL
+ * overrides baseUrl.
+ *
+ * Exit codes: 0 success, 1 operation failed, 2 usage or configuration error
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductApi = require('./product_api');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: hstockplus <command> [options]
+
+Commands:
+  list                      List products
+    --product-type <types>  Product types, comma-separated (default: auto,manual,inventory)
+    --active <value>        true, false or all (default: true)
+    --json                  Print JSON instead of a table
+  add <file.json>           Add or update products from a JSON file
+                            (a product, an array of products or { "products": [...] })
+    --no-category-check     Allow categories that are not in the reference list or the store
+  delete <friendlyId...>    Delete products by friendly ID
+  upload-image <source>     Upload an image from a URL or a local file, prints the image path
+
+Options:
+  --config <file>           JSON config file with { "apikey": "..." } (default: ~/.hstockplusrc)
+  --quiet                   Only print command output and errors
+  --verbose                 Log API requests to stderr
+  --help                    Show this help
+
+The API key is read from HSTOCKPLUS_API_KEY or the config file. The config file
+may also set baseUrl, timeout, proxy, headers and keepAlive; HSTOCKPLUS_BASE_URL
+overrides baseUrl.`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} { command, args, flags }
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+    const valueFlags = ['product-type', 'active', 'config'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.substring(2).split(/=(.*)/s);
+        if (valueFlags.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`--${name} requires a value`);
+            }
+            flags[name] = value;
+        } else if (['json', 'quiet', 'verbose', 'help', 'no-category-check'].includes(name)) {
+            flags[name] = true;
+        } else {
+            throw new UsageError(`Unknown option: --${name}`);
+        }
+    }
+
+    const [command, ...args] = positional;
+    return { command, args, flags };
+}
+
+/**
+ * Load the config file, if any
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @returns {Object} Config values
+ */
+function loadConfig(flags, env) {
+    const explicit = flags.config || env.HSTOCKPLUS_CONFIG;
+    const configPath = explicit || path.join(os.homedir(), '.hstockplusrc');
+
+    if (!fs.existsSync(configPath)) {
+        if (explicit) {
+            throw new UsageError(`Config file not found: ${configPath}`);
+        }
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Invalid config file ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Create the API client from the environment and config file
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @returns {ProductApi} API client
+ */
+function createApi(flags, env) {
+    const config = loadConfig(flags, env);
+    const apikey = env.HSTOCKPLUS_API_KEY || config.apikey;
+    if (!apikey) {
+        throw new UsageError('No API key: set HSTOCKPLUS_API_KEY or add "apikey" to the config file');
+    }
+
+    // Keep stdout for command output: SDK logs go to stderr, and only with --verbose
+    const stderrLogger = {
+        debug: (message, meta) => console.error(message, JSON.stringify(meta)),
+        info: (message, meta) => console.error(message, JSON.stringify(meta)),
+        warn: (message, meta) => console.error(message, JSON.stringify(meta)),
+        error: (message, meta) => console.error(message, JSON.stringify(meta))
+    };
+
+    const options = { logger: flags.verbose ? stderrLogger : null };
+    for (const name of ['baseUrl', 'timeout', 'proxy', 'headers', 'keepAlive']) {
+        if (config[name] !== undefined) {
+            options[name] = config[name];
+        }
+    }
+    if (env.HSTOCKPLUS_BASE_URL) {
+        options.baseUrl = env.HSTOCKPLUS_BASE_URL;
+    }
+    if (flags['no-category-check']) {
+        options.categoryCheck = false;
+    }
+
+    try {
+        return new ProductApi(apikey, options);
+    } catch (error) {
+        throw new UsageError(`Invalid configuration: ${error.message}`);
+    }
+}
+
+/**
+ * Format products as a plain text table
+ * @param {Array<Object>} products - Product objects from getProducts()
+ * @returns {string} Table text
+ */
+function formatTable(products) {
+    const header = ['FRIENDLY ID', 'NAME', 'TYPE', 'ACTIVE', 'SUBPRODUCTS', 'STOCK', 'MIN PRICE'];
+    const rows = products.map(product => {
+        const subproducts = product.subproducts || [];
+        const prices = subproducts.map(sub => sub.price).filter(price => typeof price === 'number');
+        return [
+            String(product.friendlyId),
+            product.name || '',
+            product.productType || '',
+            String(product.isActive),
+            String(subproducts.length),
+            String(subproducts.reduce((total, sub) => total + (sub.stock || 0), 0)),
+            prices.length > 0 ? String(Math.min(...prices)) : ''
+        ];
+    });
+
+    const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Report a failed API result
+ * @param {Object} result - Failed result
+ * @param {string} action - What failed
+ */
+function reportFailure(result, action) {
+    const status = result.status ? ` (HTTP ${result.status})` : '';
+    console.error(`${action} failed${status}: ${result.message}`);
+}
+
+async function listCommand(api, args, flags, out) {
+    const active = flags.active || 'true';
+    if (!['true', 'false', 'all'].includes(active)) {
+        throw new UsageError('--active must be true, false or all');
+    }
+
+    const productType = flags['product-type'] || 'auto,manual,inventory';
+    const products = [];
+    for (const isActive of active === 'all' ? [true, false] : [active === 'true']) {
+        const result = await api.getAllProducts({ productType, isActive });
+        if (!result.success) {
+            reportFailure(result, 'List products');
+            return EXIT_FAILED;
+        }
+        products.push(...result.data.products);
+    }
+
+    if (flags.json) {
+        out.data(JSON.stringify(products, null, 2));
+    } else {
+        out.data(formatTable(products));
+        out.info(`\n${products.length} product(s)`);
+    }
+    return EXIT_OK;
+}
+
+async function addCommand(api, args, flags, out) {
+    if (args.length !== 1) {
+        throw new UsageError('add requires exactly one JSON file');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Cannot read ${args[0]}: ${error.message}`);
+    }
+    const products = Array.isArray(data) ? data : (Array.isArray(data.products) ? data.products : [data]);
+
+    let failed = 0;
+    for (const product of products) {
+        const label = `Add product ${product.sourceProductId || '(no sourceProductId)'}`;
+        try {
+            const result = await api.addProduct(product);
+            if (result.success) {
+                out.info(`${label}: OK${result.data && result.data.friendlyId ? ` (friendly ID ${result.data.friendlyId})` : ''}`);
+            } else {
+                failed++;
+                reportFailure(result, label);
+            }
+        } catch (error) {
+            if (!(error instanceof ProductApi.ValidationError)) {
+                throw error;
+            }
+            failed++;
+            console.error(`${label} failed: ${error.errors.map(item => `${item.path}: ${item.message}`).join('; ')}`);
+        }
+    }
+
+    out.info(`${products.length - failed}/${products.length} product(s) added`);
+    return failed === 0 ? EXIT_OK : EXIT_FAILED;
+}
+
+async function deleteCommand(api, args, flags, out) {
+    if (args.length === 0) {
+        throw new UsageError('delete requires at least one friendly ID');
+    }
+    for (const friendlyId of args) {
+        if (!/^\d+$/.test(friendlyId)) {
+            throw new UsageError(`Invalid friendly ID: ${friendlyId}`);
+        }
+    }
+
+    let failed = 0;
+    for (const friendlyId of args) {
+        const result = await api.deleteProduct(friendlyId);
+        if (result.success) {
+            out.info(`Deleted product ${friendlyId}`);
+        } else {
+            failed++;
+            reportFailure(result, `Delete product ${friendlyId}`);
+        }
+    }
+    return failed === 0 ? EXIT_OK : EXIT_FAILED;
+}
+
+async function uploadImageCommand(api, args, flags, out) {
+    if (args.length !== 1) {
+        throw new UsageError('upload-image requires exactly one URL or file');
+    }
+
+    const source = args[0];
+    const options = /^https?:\/\//i.test(source) ? { imageUrl: source } : { filePath: source };
+
+    let result;
+    try {
+        result = await api.uploadImage(options);
+    } catch (error) {
+        if (!(error instanceof ProductApi.ValidationError)) {
+            throw error;
+        }
+        console.error(`Upload image failed: ${error.message}`);
+        return EXIT_FAILED;
+    }
+    if (!result.success) {
+        reportFailure(result, 'Upload image');
+        return EXIT_FAILED;
+    }
+    out.data(result.data.imagePath);
+    return EXIT_OK;
+}
+
+const COMMANDS = {
+    'list': listCommand,
+    'add': addCommand,
+    'delete': deleteCommand,
+    'upload-image': uploadImageCommand
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, env = process.env) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const { command, args, flags } = parsed;
+    if (flags.help || !command) {
+        (flags.help ? console.log : console.error)(USAGE);
+        return flags.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const run = COMMANDS[command];
+    if (!run) {
+        console.error(`Unknown command: ${command}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    // data: command output, always printed; info: progress messages, hidden by --quiet
+    const out = {
+        data: text => console.log(text),
+        info: text => {
+            if (!flags.quiet) {
+                console.log(text);
+            }
+        }
+    };
+
+    try {
+        return await run(createApi(flags, env), args, flags, out);
+    } catch (error) {
+        console.error(error.message);
+        return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
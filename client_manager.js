@@ -0,0 +1,257 @@
+/**
+ * Client Manager - Several accounts in one process
+ *
+ * Each named account is a ProductApi client with its own API key and base URL.
+ * Accounts on the same host share one rate limiter and one pool of keep-alive
+ * connections, so together they stay within the host's limits. Products can be
+ * copied or mirrored from one account to another through the addProduct()
+ * payload of the source product.
+ */
+
+const http = require('http');
+const https = require('https');
+const RateLimiter = require('./rate_limiter');
+const { toProductPayload } = require('./product_payload');
+const { notFound } = require('./subproduct_updates');
+const { ValidationError } = require('./errors');
+
+class ClientManager {
+    /**
+     * @param {Object} [options] - Manager options
+     * @param {Object} [options.defaults] - ProductApi options for every account, e.g. logger, retry or timeout
+     * @param {Object} [options.rateLimit] - { requestsPerSecond, maxConcurrent } for each host, shared by its accounts
+     * @param {number} [options.maxSockets] - Maximum connections to each host, shared by its accounts (default: no limit)
+     * @param {Object} [options.accounts] - Accounts to add: name => account options (see addAccount())
+     * @throws {Error} If a limit is invalid
+     */
+    constructor(options = {}) {
+        const { defaults = {}, rateLimit = {}, maxSockets, accounts = {} } = options;
+
+        if (maxSockets !== undefined && (!Number.isInteger(maxSockets) || maxSockets < 1)) {
+            throw new Error('maxSockets must be a positive integer');
+        }
+        // Checked now rather than when the first account is added
+        new RateLimiter(rateLimit);
+
+        this.defaults = defaults;
+        this.rateLimit = rateLimit;
+        this.maxSockets = maxSockets;
+        this.hosts = new Map();
+        this.clients = new Map();
+
+        for (const [name, account] of Object.entries(accounts)) {
+            this.addAccount(name, account);
+        }
+    }
+
+    /**
+     * Get the rate limiter and connection pool of a host, created on first use
+     * @param {string} baseUrl - API base URL
+     * @returns {Object} { limiter, httpAgent, httpsAgent }
+     * @throws {Error} If the URL is invalid
+     */
+    getHost(baseUrl) {
+        let host;
+        try {
+            host = new URL(baseUrl).host;
+        } catch (error) {
+            throw new Error(`Invalid baseUrl: ${baseUrl}`);
+        }
+
+        if (!this.hosts.has(host)) {
+            const agentOptions = { keepAlive: true, maxSockets: this.maxSockets };
+            this.hosts.set(host, {
+                limiter: new RateLimiter(this.rateLimit),
+                httpAgent: new http.Agent(agentOptions),
+                httpsAgent: new https.Agent(agentOptions)
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Register an account
+     *
+     * @param {string} name - Account name, used to route operations
+     * @param {Object} account - Account options
+     * @param {string} account.apikey - API key of the account
+     * @param {string} [account.baseUrl] - API base URL of the account (default: the defaults' or the public API)
+     * @returns {ProductApi} The account's client; any other ProductApi option in account overrides
+     *   the defaults, including a rateLimiter, httpAgent or httpsAgent of its own
+     * @throws {ValidationError} If the name is missing or already used
+     * @throws {Error} If the API key is missing or an option is invalid
+     *
+     * @example
+     * manager.addAccount('supplier-b', { apikey: process.env.SUPPLIER_B_KEY, baseUrl: 'https://staging.hstockplus.com/api/admin/v2' });
+     */
+    addAccount(name, account = {}) {
+        // Required here because product_api.js requires this module
+        const ProductApi = require('./product_api');
+
+        if (!name || typeof name !== 'string') {
+            throw new ValidationError('Account name must be a non-empty string', 'name');
+        }
+        if (this.clients.has(name)) {
+            throw new ValidationError(`Account ${name} already exists`, 'name');
+        }
+
+        const { apikey, ...accountOptions } = account;
+        const options = { ...this.defaults, ...accountOptions };
+        const pool = this.getHost(options.baseUrl || ProductApi.DEFAULT_BASE_URL);
+        const client = new ProductApi(apikey, {
+            rateLimiter: pool.limiter,
+            httpAgent: pool.httpAgent,
+            httpsAgent: pool.httpsAgent,
+            ...options
+        });
+        this.clients.set(name, client);
+        return client;
+    }
+
+    /**
+     * Remove an account
+     * @param {string} name - Account name
+     * @returns {boolean} False if there was no such account
+     */
+    removeAccount(name) {
+        return this.clients.delete(name);
+    }
+
+    /**
+     * Get the client of an account
+     * @param {string} name - Account name
+     * @returns {ProductApi}
+     * @throws {ValidationError} If there is no such account
+     *
+     * @example
+     * await manager.get('supplier-a').updateStock('PROD-1', { 'SUB-1': 10 });
+     */
+    get(name) {
+        const client = this.clients.get(name);
+        if (!client) {
+            throw new ValidationError(`Unknown account: ${name}`, 'name');
+        }
+        return client;
+    }
+
+    /**
+     * Check whether an account is registered
+     * @param {string} name - Account name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.clients.has(name);
+    }
+
+    /**
+     * Get the names of every account
+     * @returns {Array<string>} Names, in the order the accounts were added
+     */
+    names() {
+        return Array.from(this.clients.keys());
+    }
+
+    /**
+     * Get the client writing copies to an account
+     * Copied products keep the category and prices they have in the source account.
+     *
+     * @param {string} from - Source account name
+     * @param {string} to - Target account name
+     * @param {Object} options - Copy options, see copyProduct()
+     * @returns {ProductApi} Target client without category check and, unless asked, without price rules
+     * @throws {ValidationError} If an account does not exist or both are the same
+     */
+    getCopyTarget(from, to, options) {
+        this.get(from);
+        if (from === to) {
+            throw new ValidationError('Source and target accounts must be different', 'to');
+        }
+        return this.get(to).withOptions({
+            categoryCheck: false,
+            priceRules: options.applyPriceRules ? undefined : false
+        });
+    }
+
+    /**
+     * Copy a product from one account to another
+     * The source product is turned into an addProduct() payload and upserted on the target by
+     * sourceProductId, so copying it again updates the copy. The image is sent as the path the
+     * source returned; pass overrides: { image: { imageUrl } } to upload it to the target instead.
+     * Only fields the source reported are sent, so the copy gets no warrantyDays unless overrides sets it.
+     *
+     * @param {string} from - Source account name
+     * @param {string} to - Target account name
+     * @param {string} sourceProductId - Product sourceProductId
+     * @param {Object} [options] - Copy options
+     * @param {Object} [options.overrides] - Payload fields to change on the copy, e.g. { active: false }
+     * @param {boolean} [options.applyPriceRules=false] - Treat the source prices as costs for the target's priceRules
+     * @param {boolean} [options.refresh=false] - Download the source catalog even if the cached one is fresh
+     * @returns {Promise<Object>} Target addProduct() result, a not-found result, or the failed source getProducts() result
+     * @throws {ValidationError} If an account does not exist or both are the same
+     * @throws {NotFoundError} If the product does not exist and throwOnError is enabled on the source
+     *
+     * @example
+     * const result = await manager.copyProduct('supplier-a', 'supplier-b', 'PROD-123456', { overrides: { active: false } });
+     */
+    async copyProduct(from, to, sourceProductId, options = {}) {
+        const source = this.get(from);
+        const target = this.getCopyTarget(from, to, options);
+
+        const lookup = await source.productCache.get(sourceProductId, { refresh: options.refresh });
+        if (!lookup.success) {
+            return lookup;
+        }
+        if (!lookup.product) {
+            return notFound(source, `Product ${sourceProductId} not found in account ${from}`);
+        }
+        return await target.addProduct({ ...toProductPayload(lookup.product), ...options.overrides }, { applyDefaults: false });
+    }
+
+    /**
+     * Mirror products from one account to another
+     * Runs syncCatalog() on the target with the source products as the feed, so only new and
+     * changed products are sent. Products missing from the source are left alone unless
+     * missingPolicy says otherwise. Like copyProduct(), no addProduct() defaults are added.
+     *
+     * @param {string} from - Source account name
+     * @param {string} to - Target account name
+     * @param {Object} [options] - Mirror options, plus overrides and applyPriceRules like copyProduct()
+     * @param {Object} [options.query] - findProducts() query selecting the source products (default: all)
+     * @param {boolean} [options.refresh=false] - Download the source catalog even if the cached one is fresh
+     * @param {boolean} [options.dryRun=false] - Return the plan without sending anything
+     * @param {string} [options.missingPolicy='ignore'] - What to do with target products missing from the
+     *   source: 'ignore', 'deactivate' or 'delete'
+     * @param {string} [options.provider] - Only deactivate/delete target products of this provider
+     * @returns {Promise<Object>} syncCatalog() report of the target, or the failed source getProducts() result
+     * @throws {ValidationError} If an account does not exist, both are the same or the query is invalid
+     *
+     * @example
+     * const report = await manager.mirrorProducts('supplier-a', 'supplier-b', { query: { provider: 'acme' }, dryRun: true });
+     * console.log(report.summary);
+     */
+    async mirrorProducts(from, to, options = {}) {
+        const { query = {}, overrides, refresh, missingPolicy = 'ignore' } = options;
+        const source = this.get(from);
+        const target = this.getCopyTarget(from, to, options);
+
+        const found = await source.findProducts(query, { refresh });
+        if (!found.success) {
+            return found;
+        }
+        const payloads = found.data.products.map(product => ({ ...toProductPayload(product), ...overrides }));
+        return await target.syncCatalog(payloads, { ...options, missingPolicy, applyDefaults: false });
+    }
+
+    /**
+     * Close the pooled connections, e.g. before the process exits
+     * Clients keep working and open new connections when used again.
+     */
+    destroy() {
+        for (const pool of this.hosts.values()) {
+            pool.httpAgent.destroy();
+            pool.httpsAgent.destroy();
+        }
+    }
+}
+
+module.exports = ClientManager;
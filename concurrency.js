@@ -0,0 +1,44 @@
+/**
+ * Concurrency - Run async work over a list with a bounded number of requests in flight
+ */
+
+/**
+ * Map items through an async worker, running at most `concurrency` at a time
+ * Results keep the order of the input. The worker should handle its own errors:
+ * a rejected worker rejects the map, while workers already running carry on.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results, in input order
+ *
+ * @example
+ * const results = await mapWithConcurrency(products, 4, product => productApi.addProduct(product));
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('concurrency must be a positive integer');
+    }
+
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push(run());
+    }
+    await Promise.all(runners);
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,131 @@
+/**
+ * CSV - Minimal RFC 4180 reader and writer
+ * Supports quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+
+/**
+ * Parse CSV text into rows of objects keyed by the header row
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {Array<Object>} Rows as { line, values } where line is the 1-based line the row starts on
+ *
+ * @example
+ * parseCsv('name,price\nGmail,1.5\n');
+ * // [{ line: 2, values: { name: 'Gmail', price: '1.5' } }]
+ */
+function parseCsv(text, options = {}) {
+    const { delimiter = ',' } = options;
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push({ line: recordLine, fields: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+    }
+
+    // Skip blank lines
+    const nonEmpty = records.filter(item => item.fields.length > 1 || item.fields[0] !== '');
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+
+    const [header, ...rows] = nonEmpty;
+    const columns = header.fields.map(column => column.trim());
+
+    return rows.map(row => {
+        const values = {};
+        columns.forEach((column, index) => {
+            values[column] = row.fields[index] !== undefined ? row.fields[index] : '';
+        });
+        return { line: row.line, values };
+    });
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV field
+ */
+function formatField(value, delimiter) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.includes('"') || text.includes(delimiter) || text.includes('\n') || text.includes('\r')) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Write rows of objects as CSV text
+ *
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Object} [options] - Write options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {string} CSV text with a header row
+ */
+function stringifyCsv(rows, columns, options = {}) {
+    const { delimiter = ',' } = options;
+    const lines = [columns.map(column => formatField(column, delimiter)).join(delimiter)];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatField(row[column], delimiter)).join(delimiter));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    stringifyCsv
+};
@@ -0,0 +1,132 @@
+/**
+ * Error classes thrown by ProductApi
+ *
+ * ValidationError is thrown for invalid arguments in every mode. The HTTP
+ * errors are thrown instead of returning { success: false } result objects
+ * when the client is created with throwOnError: true.
+ */
+
+class ProductApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details
+     * @param {number|null} [details.status] - HTTP status code, null if no response was received
+     * @param {*} [details.body] - Response body
+     * @param {Object} [details.request] - Request details { method, url, params }
+     * @param {number} [details.attempts] - Number of attempts made
+     * @param {number} [details.duration] - Time spent in ms, including retries
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status !== undefined ? details.status : null;
+        this.body = details.body;
+        this.request = details.request;
+        this.attempts = details.attempts;
+        this.duration = details.duration;
+    }
+}
+
+class ValidationError extends ProductApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} field - Path of the invalid field, e.g. 'subproducts[0].price'
+     * @param {Object} [details] - Error details, plus errors: every problem found as { path, message }
+     */
+    constructor(message, field, details = {}) {
+        super(message, details);
+        this.field = field;
+        this.errors = details.errors || [{ path: field, message }];
+    }
+}
+
+// 401 and 403 responses
+class AuthError extends ProductApiError {}
+
+// 404 responses
+class NotFoundError extends ProductApiError {}
+
+class RateLimitError extends ProductApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details, plus retryAfter in ms if the server sent Retry-After
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+    }
+}
+
+// 5xx responses
+class ServerError extends ProductApiError {}
+
+// No response received
+class NetworkError extends ProductApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details, plus the low-level error code (e.g. 'ECONNRESET')
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = details.code;
+    }
+}
+
+class TimeoutError extends NetworkError {}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Create the error matching a failed request result
+ *
+ * @param {Object} result - Failed result returned by ProductApi.request()
+ * @param {Object} details - Extra details: request, code (network error code), retryAfter
+ * @returns {ProductApiError} Error instance
+ */
+function createError(result, details = {}) {
+    const errorDetails = {
+        status: result.status,
+        body: result.error,
+        request: details.request,
+        attempts: result.attempts,
+        duration: result.duration,
+        code: details.code,
+        retryAfter: details.retryAfter
+    };
+    const message = result.message;
+    const status = result.status;
+
+    if (status === null) {
+        if (TIMEOUT_CODES.includes(details.code)) {
+            return new TimeoutError(message, errorDetails);
+        }
+        return result.error === 'Request setup error'
+            ? new ProductApiError(message, errorDetails)
+            : new NetworkError(message, errorDetails);
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(message, errorDetails);
+    }
+    if (status === 404) {
+        return new NotFoundError(message, errorDetails);
+    }
+    if (status === 429) {
+        return new RateLimitError(message, errorDetails);
+    }
+    if (status >= 500) {
+        return new ServerError(message, errorDetails);
+    }
+    return new ProductApiError(message, errorDetails);
+}
+
+module.exports = {
+    ProductApiError,
+    ValidationError,
+    AuthError,
+    NotFoundError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    TimeoutError,
+    createError
+};
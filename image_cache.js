@@ -0,0 +1,48 @@
+/**
+ * Image Cache - Remember uploaded images so the same image is not uploaded twice
+ *
+ * Entries map a cache key to { imagePath, createdAt }. Keys are built by ProductApi:
+ * 'url:<imageUrl>' for images uploaded from a URL, and 'sha256:<hash>' of the
+ * content for local files, Buffers, streams and Base64 images.
+ *
+ * Any object with these methods can be used as a cache backend (each may return a Promise):
+ * - get(key) => entry or null
+ * - set(key, entry)
+ * - delete(key)
+ * - clear()
+ * - entries() => Array of [key, entry] (optional, needed to invalidate by imagePath)
+ */
+
+const { MemoryStore, JsonFileStore } = require('./kv_store');
+
+/**
+ * In-memory image cache, lost when the process exits
+ */
+class MemoryImageCache extends MemoryStore {
+    /**
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are treated as missing and re-uploaded
+     */
+    constructor(options = {}) {
+        super({ maxAge: options.maxAge });
+    }
+}
+
+/**
+ * Image cache stored in a JSON file, so uploads are remembered between runs
+ */
+class JsonFileImageCache extends JsonFileStore {
+    /**
+     * @param {string} filePath - Cache file, created if missing
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are treated as missing and re-uploaded
+     */
+    constructor(filePath, options = {}) {
+        super(filePath, { maxAge: options.maxAge });
+    }
+}
+
+module.exports = {
+    MemoryImageCache,
+    JsonFileImageCache
+};
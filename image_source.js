@@ -0,0 +1,216 @@
+/**
+ * Image Source - Read local images for uploadImage() and check them before sending
+ *
+ * Accepts a file path, a Buffer, a readable stream or a Base64 data URL,
+ * detects the format from its magic bytes and enforces the 5MB limit.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+// Maximum image size accepted by the upload-image API
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Detect the image format from its first bytes
+ * @param {Buffer} buffer - Image content
+ * @returns {string|null} MIME type, or null if not JPG, PNG, GIF, WebP or SVG
+ */
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    const head = buffer.subarray(0, 12).toString('latin1');
+    if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) {
+        return 'image/gif';
+    }
+    if (head.startsWith('RIFF') && head.substring(8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+
+    // SVG is text: an optional BOM, XML declaration, comments or doctype, then <svg
+    const text = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (/^(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+/**
+ * Create the error for an image over the size limit
+ * @param {string} field - Source option name
+ * @param {number} maxSize - Maximum size in bytes
+ * @returns {ValidationError}
+ */
+function tooLarge(field, maxSize) {
+    return new ValidationError(`Image exceeds the maximum size of ${(maxSize / 1024 / 1024).toFixed(2)}MB`, field);
+}
+
+/**
+ * Read a readable stream into a Buffer, stopping once it grows past a limit
+ * @param {stream.Readable} stream - Readable stream
+ * @param {number} limit - Maximum size in bytes, Infinity for none
+ * @returns {Promise<Buffer>} Content, or the first limit + 1 bytes if the stream was too large
+ */
+function readStream(stream, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            chunks.push(data);
+            size += data.length;
+            if (size > limit) {
+                stream.destroy();
+                resolve(Buffer.concat(chunks));
+            }
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Read the image content from one of the local sources
+ * @param {Object} source - { filePath, buffer, stream, imageBase64 }
+ * @param {number} limit - Stop reading past this size (Infinity to read everything)
+ * @returns {Promise<Object>} { content, field } where field names the source option;
+ *   content is null when a file is over the limit, so it is not read at all
+ */
+async function readSource(source, limit) {
+    const { filePath, buffer, stream, imageBase64 } = source;
+
+    if (filePath) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch (error) {
+            throw new ValidationError(`Cannot read image file ${filePath}: ${error.message}`, 'filePath');
+        }
+        if (stat.size > limit) {
+            // Too large and nothing can shrink it: the size is all that matters
+            return { content: null, field: 'filePath' };
+        }
+        return { content: await fs.promises.readFile(filePath), field: 'filePath' };
+    }
+    if (buffer) {
+        if (!Buffer.isBuffer(buffer)) {
+            throw new ValidationError('buffer must be a Buffer', 'buffer');
+        }
+        return { content: buffer, field: 'buffer' };
+    }
+    if (stream) {
+        if (typeof stream.on !== 'function') {
+            throw new ValidationError('stream must be a readable stream', 'stream');
+        }
+        return { content: await readStream(stream, limit), field: 'stream' };
+    }
+
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(imageBase64);
+    if (!match) {
+        throw new ValidationError('imageBase64 must be a data URL (data:image/...;base64,...)', 'imageBase64');
+    }
+    return { content: Buffer.from(match[2], 'base64'), field: 'imageBase64' };
+}
+
+/**
+ * Read a local image and check its format and size
+ *
+ * @param {Object} source - Exactly one of { filePath, buffer, stream, imageBase64 }
+ * @param {Object} [options] - Pre-flight options
+ * @param {boolean} [options.optimize] - Whether oversized images can still be shrunk (they are then read in full)
+ * @param {number} [options.maxSize=MAX_IMAGE_SIZE] - Maximum size in bytes
+ * @returns {Promise<Object>} { content, type, hash, field } where hash is the SHA-256 of the content
+ * @throws {ValidationError} If the image cannot be read, is not a supported format, or is too large and cannot be optimized
+ */
+async function readImage(source, options = {}) {
+    const { optimize, maxSize = MAX_IMAGE_SIZE } = options;
+    const { content, field } = await readSource(source, optimize ? Infinity : maxSize);
+
+    if (content === null || (!optimize && content.length > maxSize)) {
+        throw tooLarge(field, maxSize);
+    }
+
+    const type = detectImageType(content);
+    if (!type) {
+        throw new ValidationError('Unsupported image format, expected JPG, PNG, GIF, WebP or SVG', field);
+    }
+
+    return {
+        content: content,
+        type: type,
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+        field: field
+    };
+}
+
+/**
+ * Shrink an image read by readImage() if needed and build its data URL
+ *
+ * @param {Object} image - Result of readImage()
+ * @param {Object} [options] - Pre-flight options
+ * @param {Function} [options.optimize] - async (buffer, { type, size, maxSize }) => Buffer,
+ *   called when the image is over the size limit to resize or compress it (e.g. with sharp)
+ * @param {number} [options.maxSize=MAX_IMAGE_SIZE] - Maximum size in bytes
+ * @returns {Promise<Object>} { dataUrl, type, size, optimized }
+ * @throws {ValidationError} If the image is still too large or optimize returned an unsupported format
+ */
+async function fitImage(image, options = {}) {
+    const { optimize, maxSize = MAX_IMAGE_SIZE } = options;
+    const { field } = image;
+    let { content, type } = image;
+    let optimized = false;
+
+    if (content.length > maxSize) {
+        if (!optimize) {
+            throw tooLarge(field, maxSize);
+        }
+        const result = await optimize(content, { type, size: content.length, maxSize });
+        if (!Buffer.isBuffer(result)) {
+            throw new ValidationError('optimize must return a Buffer', field);
+        }
+        if (result.length > maxSize) {
+            throw tooLarge(field, maxSize);
+        }
+
+        // The optimizer may have changed the format (e.g. PNG to WebP)
+        type = detectImageType(result);
+        if (!type) {
+            throw new ValidationError('optimize returned an unsupported image format', field);
+        }
+        content = result;
+        optimized = true;
+    }
+
+    return {
+        dataUrl: `data:${type};base64,${content.toString('base64')}`,
+        type: type,
+        size: content.length,
+        optimized: optimized
+    };
+}
+
+/**
+ * Prepare a local image for upload: read it, check its format and size, and build the data URL
+ *
+ * @param {Object} source - Exactly one of { filePath, buffer, stream, imageBase64 }
+ * @param {Object} [options] - Same options as fitImage()
+ * @returns {Promise<Object>} { dataUrl, type, size, optimized }
+ * @throws {ValidationError} If the image cannot be read, is not a supported format or is too large
+ */
+async function prepareImage(source, options = {}) {
+    const image = await readImage(source, { optimize: Boolean(options.optimize), maxSize: options.maxSize });
+    return await fitImage(image, options);
+}
+
+module.exports = {
+    MAX_IMAGE_SIZE,
+    detectImageType,
+    readImage,
+    fitImage,
+    prepareImage
+};
@@ -0,0 +1,225 @@
+/**
+ * Key-Value Store - Entries kept in memory or in a JSON file
+ *
+ * Storage shared by the image cache and the change stores. Each entry is an
+ * object with a createdAt timestamp (ms); with maxAge, older entries are
+ * treated as missing and removed when read.
+ *
+ * Both stores have the same methods (the JSON file store returns Promises):
+ * - get(key) => entry or null
+ * - set(key, entry)
+ * - delete(key)
+ * - clear()
+ * - entries() => Array of [key, entry]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Check whether an entry is older than the maximum age
+ * @param {Object} entry - Store entry
+ * @param {number} [maxAge] - Maximum age in ms, undefined for no limit
+ * @returns {boolean}
+ */
+function isExpired(entry, maxAge) {
+    return maxAge !== undefined && Date.now() - entry.createdAt > maxAge;
+}
+
+/**
+ * In-memory store, lost when the process exits
+ */
+class MemoryStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are treated as missing
+     */
+    constructor(options = {}) {
+        this.maxAge = options.maxAge;
+        this.store = new Map();
+    }
+
+    /**
+     * Get an entry
+     * @param {string} key - Entry key
+     * @returns {Object|null} Entry, or null if missing or expired
+     */
+    get(key) {
+        const entry = this.store.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (isExpired(entry, this.maxAge)) {
+            this.store.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Entry key
+     * @param {Object} entry - Entry, with createdAt
+     */
+    set(key, entry) {
+        this.store.set(key, entry);
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Entry key
+     */
+    delete(key) {
+        this.store.delete(key);
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.store.clear();
+    }
+
+    /**
+     * List the entries
+     * @returns {Array<Array>} [key, entry] pairs
+     */
+    entries() {
+        return Array.from(this.store.entries());
+    }
+}
+
+/**
+ * Store kept in a JSON file, so entries are remembered between runs
+ * The file is read on first use and rewritten after each change.
+ */
+class JsonFileStore {
+    /**
+     * @param {string} filePath - Store file, created if missing
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxAge] - Entries older than this (ms) are treated as missing
+     */
+    constructor(filePath, options = {}) {
+        if (!filePath) {
+            throw new Error('filePath is required');
+        }
+        this.filePath = filePath;
+        this.maxAge = options.maxAge;
+        this.store = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+        this.pendingWrite = null;
+    }
+
+    /**
+     * Read the store file once, sharing the read between concurrent callers
+     * @returns {Promise<Object>} Entries by key
+     */
+    async load() {
+        if (!this.store) {
+            if (!this.loading) {
+                this.loading = fs.promises.readFile(this.filePath, 'utf8')
+                    .catch(error => {
+                        if (error.code !== 'ENOENT') {
+                            throw error;
+                        }
+                        return null;
+                    })
+                    .then(content => {
+                        this.store = this.store || (content ? JSON.parse(content) : {});
+                    })
+                    .finally(() => {
+                        this.loading = null;
+                    });
+            }
+            await this.loading;
+        }
+        return this.store;
+    }
+
+    /**
+     * Write the store file, one write at a time
+     * Changes made while a write is waiting are saved by that same write.
+     * The content goes to a temporary file first so an interrupted write never corrupts the store.
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.pendingWrite) {
+            const tempPath = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.tmp`);
+            this.pendingWrite = this.writing
+                .catch(() => {})
+                .then(async () => {
+                    this.pendingWrite = null;
+                    await fs.promises.writeFile(tempPath, JSON.stringify(this.store, null, 2) + '\n');
+                    await fs.promises.rename(tempPath, this.filePath);
+                });
+            this.writing = this.pendingWrite;
+        }
+        return this.pendingWrite;
+    }
+
+    /**
+     * Get an entry
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|null>} Entry, or null if missing or expired
+     */
+    async get(key) {
+        const store = await this.load();
+        const entry = store[key];
+        if (!entry) {
+            return null;
+        }
+        if (isExpired(entry, this.maxAge)) {
+            await this.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Entry key
+     * @param {Object} entry - Entry, with createdAt
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        const store = await this.load();
+        store[key] = entry;
+        await this.save();
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Entry key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        const store = await this.load();
+        if (key in store) {
+            delete store[key];
+            await this.save();
+        }
+    }
+
+    /**
+     * Remove every entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.store = {};
+        await this.save();
+    }
+
+    /**
+     * List the entries
+     * @returns {Promise<Array<Array>>} [key, entry] pairs
+     */
+    async entries() {
+        return Object.entries(await this.load());
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    JsonFileStore
+};
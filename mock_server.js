@@ -0,0 +1,381 @@
+/**
+ * Mock Server - In-memory fake of the hstockplus /api/admin/v2 endpoints
+ *
+ * Lets code built on ProductApi run without network, e.g. in CI. Products are
+ * upserted by sourceProductId and get increasing friendly IDs; getProducts
+ * filtering and paging, delete and upload-image behave like the real API.
+ * Like the real API, warrantyDays is stored but not reported by getProducts.
+ *
+ * Use it in-process as a transport, or over HTTP with listen() and baseUrl.
+ */
+
+const http = require('http');
+const { settleResponse } = require('./transport');
+const { validateProduct } = require('./product_validator');
+const { MAX_IMAGE_SIZE, detectImageType } = require('./image_source');
+
+const API_PREFIX = '/api/admin/v2';
+
+// File extension given to uploaded images, by MIME type
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+/**
+ * Turn a name into a URL slug
+ * @param {string} name - Category or subcategory name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Deep copy a JSON value, so callers never share state with the store
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class MockServer {
+    /**
+     * @param {Object} [options] - Server options
+     * @param {string} [options.apikey] - Only accept this API key (default: accept any non-empty key)
+     * @param {Array<Object>} [options.products] - addProduct() payloads to start with
+     * @param {number} [options.firstFriendlyId=1001] - Friendly ID of the first product created
+     */
+    constructor(options = {}) {
+        this.apikey = options.apikey;
+        this.firstFriendlyId = options.firstFriendlyId || 1001;
+        this.seed = options.products || [];
+        this.transport = this.transport.bind(this);
+        this.reset();
+    }
+
+    /**
+     * Drop every product, upload and queued failure, then add the starting products again
+     */
+    reset() {
+        this.products = [];
+        this.images = [];
+        this.requests = [];
+        this.failures = [];
+        this.nextFriendlyId = this.firstFriendlyId;
+        this.nextId = 1;
+        for (const payload of this.seed) {
+            const response = this.upsertProduct(copy(payload));
+            if (response.status !== 200) {
+                throw new Error(`Invalid starting product: ${response.data.message}`);
+            }
+        }
+    }
+
+    /**
+     * Make the next requests fail, e.g. to test retries
+     *
+     * @param {Object} [failure] - Failure to return
+     * @param {number} [failure.status=500] - HTTP status
+     * @param {Object} [failure.headers] - Response headers, e.g. { 'retry-after': '1' }
+     * @param {*} [failure.data] - Response body (default: { success: false, message: 'Simulated failure' })
+     * @param {number} [failure.times=1] - Number of requests to fail
+     */
+    failNext(failure = {}) {
+        const { status = 500, headers = {}, data = { success: false, message: 'Simulated failure' }, times = 1 } = failure;
+        for (let i = 0; i < times; i++) {
+            this.failures.push({ status, headers, data });
+        }
+    }
+
+    /**
+     * Handle a request
+     *
+     * @param {Object} request - { method, path, headers, params, data }, path relative to /api/admin/v2
+     * @returns {Object} { status, headers, data }
+     */
+    handle(request) {
+        const method = String(request.method).toUpperCase();
+        const headers = {};
+        for (const [name, value] of Object.entries(request.headers || {})) {
+            headers[name.toLowerCase()] = value;
+        }
+        this.requests.push({ method, path: request.path, params: copy(request.params), data: copy(request.data) });
+
+        const failure = this.failures.shift();
+        if (failure) {
+            return { status: failure.status, headers: failure.headers, data: copy(failure.data) };
+        }
+
+        const apikey = headers['x-api-key'];
+        if (!apikey || (this.apikey !== undefined && apikey !== this.apikey)) {
+            return this.error(401, 'Invalid API key');
+        }
+
+        const deleteMatch = /^\/products\/([^/]+)$/.exec(request.path);
+        if (method === 'POST' && request.path === '/products') {
+            return this.upsertProduct(request.data || {});
+        }
+        if (method === 'GET' && request.path === '/products') {
+            return this.listProducts(request.params || {});
+        }
+        if (method === 'DELETE' && deleteMatch) {
+            return this.deleteProduct(decodeURIComponent(deleteMatch[1]));
+        }
+        if (method === 'POST' && request.path === '/upload-image') {
+            return this.uploadImage(request.data || {});
+        }
+        return this.error(404, `Cannot ${method} ${request.path}`);
+    }
+
+    /**
+     * Build an error response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @returns {Object} Response
+     */
+    error(status, message) {
+        return { status, headers: {}, data: { success: false, message } };
+    }
+
+    /**
+     * POST /products: create or update a product by sourceProductId
+     * @param {Object} payload - addProduct() payload
+     * @returns {Object} Response
+     */
+    upsertProduct(payload) {
+        const validation = validateProduct(payload, { checkCategories: false });
+        if (!validation.valid) {
+            return this.error(400, validation.errors[0].message);
+        }
+
+        const now = new Date().toISOString();
+        let product = this.products.find(item => item.sourceProductId === String(payload.sourceProductId));
+        const created = !product;
+
+        if (created) {
+            // Category and subcategory are only set when the product is created
+            product = {
+                id: `product_${this.nextId++}`,
+                friendlyId: this.nextFriendlyId++,
+                sourceProductId: String(payload.sourceProductId),
+                category: { id: `category_${slugify(payload.categoryName)}`, name: payload.categoryName, slug: slugify(payload.categoryName) },
+                subcategory: { id: `subcategory_${slugify(payload.subcategoryName)}`, name: payload.subcategoryName, slug: slugify(payload.subcategoryName) },
+                subproducts: [],
+                createdAt: now
+            };
+            this.products.push(product);
+        }
+
+        product.name = payload.name;
+        product.provider = payload.provider !== undefined ? payload.provider : product.provider;
+        product.sourceUrl = payload.sourceUrl || product.sourceUrl || `${payload.provider || ''}_${payload.sourceProductId}`;
+        for (const field of ['description', 'descriptionText']) {
+            if (payload[field] !== undefined) {
+                product[field] = payload[field];
+            }
+        }
+        // An empty image keeps the current one
+        if (payload.image) {
+            product.image = payload.image;
+        }
+        // A product updated without warrantyDays keeps its current one
+        if (payload.warrantyDays !== undefined) {
+            product.warrantyDays = payload.warrantyDays;
+        } else if (created) {
+            product.warrantyDays = 7;
+        }
+        product.productType = payload.productType || product.productType || 'auto';
+        product.isActive = payload.active !== undefined ? payload.active : true;
+        product.updatedAt = now;
+
+        for (const sub of payload.subproducts) {
+            let subproduct = product.subproducts.find(item => item.sourceProductId === String(sub.sourceProductId));
+            if (!subproduct) {
+                subproduct = { id: `subproduct_${this.nextId++}`, sourceProductId: String(sub.sourceProductId), minQuantity: 1 };
+                product.subproducts.push(subproduct);
+            }
+            for (const field of ['sourceName', 'name', 'price', 'stock', 'minQuantity', 'shortDescription']) {
+                if (sub[field] !== undefined) {
+                    subproduct[field] = sub[field];
+                }
+            }
+            subproduct.isActive = subproduct.stock > 0;
+        }
+
+        return {
+            status: 200,
+            headers: {},
+            data: {
+                success: true,
+                message: created ? 'Product created successfully' : 'Product updated successfully',
+                productId: product.id,
+                friendlyId: product.friendlyId
+            }
+        };
+    }
+
+    /**
+     * GET /products: filter by productType and isActive, then page with limit and offset
+     * @param {Object} params - Query parameters
+     * @returns {Object} Response
+     */
+    listProducts(params) {
+        const types = String(params.productType || 'auto').split(',').map(type => type.trim());
+        const isActive = String(params.isActive === undefined ? 'true' : params.isActive) === 'true';
+        const limit = params.limit !== undefined ? Number(params.limit) : 50;
+        const offset = params.offset !== undefined ? Number(params.offset) : 0;
+
+        if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+            return this.error(400, 'limit and offset must be non-negative integers');
+        }
+
+        const matching = this.products.filter(product => types.includes(product.productType) && product.isActive === isActive);
+        const page = matching.slice(offset, offset + limit)
+            .map(({ warrantyDays, ...product }) => product);
+
+        return {
+            status: 200,
+            headers: {},
+            data: { products: copy(page), count: page.length, total: matching.length }
+        };
+    }
+
+    /**
+     * DELETE /products/:friendlyId
+     * @param {string} friendlyId - Product friendly ID
+     * @returns {Object} Response
+     */
+    deleteProduct(friendlyId) {
+        const index = this.products.findIndex(product => String(product.friendlyId) === friendlyId);
+        if (index === -1) {
+            return this.error(404, 'Product not found');
+        }
+        const [product] = this.products.splice(index, 1);
+        return {
+            status: 200,
+            headers: {},
+            data: {
+                success: true,
+                message: 'Product deleted successfully',
+                friendlyId: product.friendlyId,
+                productId: product.id
+            }
+        };
+    }
+
+    /**
+     * POST /upload-image: accept an image URL or a Base64 data URL and return a new image path
+     * @param {Object} payload - { imageUrl } or { imageBase64 }
+     * @returns {Object} Response
+     */
+    uploadImage(payload) {
+        let type;
+        if (payload.imageUrl) {
+            const extension = /\.(jpe?g|png|gif|webp|svg)(\?|$)/i.exec(payload.imageUrl);
+            type = extension ? `image/${extension[1].toLowerCase().replace('jpg', 'jpeg').replace('svg', 'svg+xml')}` : 'image/jpeg';
+        } else if (payload.imageBase64) {
+            const match = /^data:([^;,]+);base64,(.*)$/s.exec(payload.imageBase64);
+            if (!match) {
+                return this.error(400, 'Invalid imageBase64');
+            }
+            const content = Buffer.from(match[2], 'base64');
+            if (content.length > MAX_IMAGE_SIZE) {
+                return this.error(400, 'Image exceeds the maximum size of 5MB');
+            }
+            type = detectImageType(content);
+            if (!type) {
+                return this.error(400, 'Unsupported image format');
+            }
+        } else {
+            return this.error(400, 'Either imageUrl or imageBase64 is required');
+        }
+
+        const imagePath = `/uploads/image-${Date.now()}-${this.images.length + 1}.${IMAGE_EXTENSIONS[type]}`;
+        this.images.push({ imagePath, type, source: payload.imageUrl || 'base64' });
+        return { status: 200, headers: {}, data: { success: true, imagePath } };
+    }
+
+    /**
+     * Transport for ProductApi: handles requests in-process, without HTTP
+     * @param {Object} config - axios request config
+     * @returns {Promise<Object>} Response, rejected like axios for non-2xx statuses
+     */
+    async transport(config) {
+        const url = new URL(config.url, 'http://localhost');
+        const params = Object.fromEntries(url.searchParams);
+        for (const [name, value] of Object.entries(config.params || {})) {
+            params[name] = String(value);
+        }
+
+        const response = this.handle({
+            method: config.method,
+            path: stripPrefix(url.pathname),
+            headers: config.headers,
+            params: params,
+            data: typeof config.data === 'string' ? JSON.parse(config.data) : copy(config.data)
+        });
+        return settleResponse(config, response);
+    }
+
+    /**
+     * Serve the fake API over HTTP
+     *
+     * @param {number} [port=0] - Port, 0 picks a free one
+     * @returns {Promise<Object>} { baseUrl, close } where baseUrl is passed to new ProductApi(apikey, { baseUrl })
+     */
+    listen(port = 0) {
+        const server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                let response;
+                try {
+                    const body = Buffer.concat(chunks).toString('utf8');
+                    const url = new URL(req.url, 'http://localhost');
+                    response = this.handle({
+                        method: req.method,
+                        path: stripPrefix(url.pathname),
+                        headers: req.headers,
+                        params: Object.fromEntries(url.searchParams),
+                        data: body ? JSON.parse(body) : null
+                    });
+                } catch (error) {
+                    response = this.error(400, `Invalid request: ${error.message}`);
+                }
+                res.writeHead(response.status, { ...response.headers, 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response.data));
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => {
+                resolve({
+                    baseUrl: `http://127.0.0.1:${server.address().port}${API_PREFIX}`,
+                    close: () => new Promise(done => {
+                        server.close(() => done());
+                        // Keep-alive connections would hold the server open
+                        server.closeAllConnections();
+                    })
+                });
+            });
+        });
+    }
+}
+
+/**
+ * Get the endpoint path relative to /api/admin/v2
+ * @param {string} pathname - Request path
+ * @returns {string} e.g. '/products'
+ */
+function stripPrefix(pathname) {
+    const index = pathname.indexOf(API_PREFIX);
+    return index === -1 ? pathname : pathname.substring(index + API_PREFIX.length);
+}
+
+module.exports = MockServer;
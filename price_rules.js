@@ -0,0 +1,356 @@
+/**
+ * Price Rules - Turn supplier costs into store prices
+ *
+ * The price of every subproduct in an addProduct() payload is read as the
+ * supplier cost. It is converted to the store currency with a rate table,
+ * marked up by the first rule matching the product (by category, provider,
+ * cost tier, ...), kept between a minimum and a maximum and rounded to a price
+ * ending within them. Settings a rule does not give are taken from the defaults.
+ */
+
+const { ValidationError } = require('./errors');
+const { PRICE_DECIMALS } = require('./product_validator');
+const { normalizeName } = require('./categories');
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+const CONFIG_KEYS = ['currency', 'rates', 'defaults', 'rules'];
+const SETTING_KEYS = ['markup', 'min', 'max', 'rounding'];
+const MATCH_KEYS = ['categoryName', 'subcategoryName', 'provider', 'productType', 'sourceProductId', 'minCost', 'maxCost'];
+const MARKUP_KEYS = ['percent', 'fixed'];
+const ROUNDING_KEYS = ['mode', 'step', 'ending'];
+
+// Smallest price step the API accepts
+const MIN_STEP = Math.pow(10, -PRICE_DECIMALS);
+
+/**
+ * Round a number to the decimal places the API accepts
+ * @param {number} value - Number to round
+ * @returns {number}
+ */
+function toPriceDecimals(value) {
+    return Number(value.toFixed(PRICE_DECIMALS));
+}
+
+/**
+ * Throw if an object has keys other than the allowed ones
+ * @param {Object} object - Object to check
+ * @param {Array<string>} allowed - Allowed keys
+ * @param {string} path - Path of the object, for the error
+ * @throws {ValidationError}
+ */
+function checkKeys(object, allowed, path) {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        throw new ValidationError(`${path} must be an object`, path);
+    }
+    for (const key of Object.keys(object)) {
+        if (!allowed.includes(key)) {
+            throw new ValidationError(`Unknown price rule option: ${path}.${key}`, `${path}.${key}`);
+        }
+    }
+}
+
+/**
+ * Throw unless a value is a non-negative number, when given
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, for the error
+ * @throws {ValidationError}
+ */
+function checkAmount(value, path) {
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw new ValidationError(`${path} must be a non-negative number`, path);
+    }
+}
+
+/**
+ * Validate markup, min, max and rounding settings
+ * @param {Object} settings - Rule or defaults
+ * @param {string} path - Path of the settings, for errors
+ * @throws {ValidationError}
+ */
+function checkSettings(settings, path) {
+    const { markup, min, max, rounding } = settings;
+
+    if (markup !== undefined) {
+        checkKeys(markup, MARKUP_KEYS, `${path}.markup`);
+        // A negative percent is a discount; the price never goes below 0 anyway
+        if (markup.percent !== undefined && (typeof markup.percent !== 'number' || !Number.isFinite(markup.percent))) {
+            throw new ValidationError(`${path}.markup.percent must be a number`, `${path}.markup.percent`);
+        }
+        if (markup.fixed !== undefined && (typeof markup.fixed !== 'number' || !Number.isFinite(markup.fixed))) {
+            throw new ValidationError(`${path}.markup.fixed must be a number`, `${path}.markup.fixed`);
+        }
+    }
+    checkAmount(min, `${path}.min`);
+    checkAmount(max, `${path}.max`);
+    if (min !== undefined && max !== undefined && min > max) {
+        throw new ValidationError(`${path}.min must not be greater than ${path}.max`, `${path}.min`);
+    }
+
+    if (rounding !== undefined) {
+        checkKeys(rounding, ROUNDING_KEYS, `${path}.rounding`);
+        const { mode = 'nearest', step, ending = 0 } = rounding;
+        if (!ROUNDING_MODES.includes(mode)) {
+            throw new ValidationError(`${path}.rounding.mode must be one of: ${ROUNDING_MODES.join(', ')}`, `${path}.rounding.mode`);
+        }
+        if (step !== undefined && (typeof step !== 'number' || !(step >= MIN_STEP))) {
+            throw new ValidationError(`${path}.rounding.step must be a number of at least ${MIN_STEP}`, `${path}.rounding.step`);
+        }
+        checkAmount(ending, `${path}.rounding.ending`);
+        if (ending >= (step !== undefined ? step : 1)) {
+            throw new ValidationError(`${path}.rounding.ending must be smaller than the step`, `${path}.rounding.ending`);
+        }
+    }
+}
+
+/**
+ * Round a price to a step and ending
+ * e.g. { step: 1, ending: 0.99 } gives prices like 4.99, { step: 0.05 } multiples of 0.05.
+ *
+ * @param {number} price - Price to round
+ * @param {Object} [rounding] - { mode, step, ending }
+ * @returns {number} Rounded price, never negative
+ */
+function roundPrice(price, rounding) {
+    if (!rounding) {
+        return price;
+    }
+    const { mode = 'nearest', ending = 0 } = rounding;
+    const step = rounding.step !== undefined ? rounding.step : (ending > 0 ? 1 : MIN_STEP);
+    // Cut floating point noise, so 2.0000000001 steps do not round up to 3
+    const steps = Number(((price - ending) / step).toFixed(9));
+    const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+    return Math.max(0, round(steps)) * step + ending;
+}
+
+/**
+ * Keep a price between min and max, then round it to a step and ending without leaving them
+ * e.g. with max 20 and { step: 1, ending: 0.99 }, 25 becomes 19.99 rather than 20.
+ * The bound itself is used when no price between min and max has the ending.
+ *
+ * @param {number} price - Price to round
+ * @param {Object} [rounding] - { mode, step, ending }
+ * @param {number} [min] - Lowest price
+ * @param {number} [max] - Highest price
+ * @returns {number} Rounded price
+ */
+function roundWithin(price, rounding, min, max) {
+    const inRange = value => (min === undefined || value >= min) && (max === undefined || value <= max);
+    const clamped = Math.min(Math.max(price, min !== undefined ? min : price), max !== undefined ? max : price);
+    if (!rounding) {
+        return clamped;
+    }
+
+    let rounded = toPriceDecimals(roundPrice(clamped, rounding));
+    if (max !== undefined && rounded > max) {
+        rounded = toPriceDecimals(roundPrice(max, { ...rounding, mode: 'down' }));
+    }
+    if (min !== undefined && rounded < min) {
+        rounded = toPriceDecimals(roundPrice(min, { ...rounding, mode: 'up' }));
+    }
+    return inRange(rounded) ? rounded : clamped;
+}
+
+/**
+ * Check whether a product field matches a rule condition
+ * @param {string} key - Product field
+ * @param {*} value - Product field value
+ * @param {string|Array<string>} expected - Accepted value or values
+ * @returns {boolean} Names are compared ignoring case and punctuation, IDs exactly
+ */
+function matchesField(key, value, expected) {
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    const normalize = key === 'sourceProductId' ? String : normalizeName;
+    return value !== undefined && value !== null &&
+        accepted.some(item => normalize(item) === normalize(value));
+}
+
+class PriceRules {
+    /**
+     * @param {Object} config - Pricing configuration
+     * @param {string} [config.currency] - Currency of the supplier costs (default: the store currency, no conversion)
+     * @param {Object} [config.rates] - Rate table: store currency units per unit of each currency, e.g. { EUR: 1.08 }
+     * @param {Object} [config.defaults] - Settings for products no rule matches, and for settings a rule leaves out:
+     * @param {Object} [config.defaults.markup] - { percent, fixed }: price = cost * (1 + percent / 100) + fixed
+     * @param {number} [config.defaults.min] - Lowest price allowed
+     * @param {number} [config.defaults.max] - Highest price allowed
+     * @param {Object} [config.defaults.rounding] - { mode: 'nearest'|'up'|'down', step, ending },
+     *   e.g. { mode: 'up', step: 1, ending: 0.99 }
+     * @param {Array<Object>} [config.rules] - Rules tried in order, the first match wins. Each has the same
+     *   settings as defaults, an optional name and match: { categoryName, subcategoryName, provider,
+     *   productType, sourceProductId (each a value or an array of values), minCost (inclusive),
+     *   maxCost (exclusive) }. Costs are compared after currency conversion
+     * @throws {ValidationError} If the configuration is malformed
+     */
+    constructor(config = {}) {
+        checkKeys(config, CONFIG_KEYS, 'priceRules');
+        const { currency = null, rates = {}, defaults = {}, rules = [] } = config;
+
+        if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+            throw new ValidationError('priceRules.rates must be an object', 'priceRules.rates');
+        }
+        for (const [code, rate] of Object.entries(rates)) {
+            if (typeof rate !== 'number' || !(rate > 0) || !Number.isFinite(rate)) {
+                throw new ValidationError(`priceRules.rates.${code} must be a positive number`, `priceRules.rates.${code}`);
+            }
+        }
+        if (currency !== null && !rates[currency]) {
+            throw new ValidationError(`No rate for priceRules.currency ${currency} in priceRules.rates`, 'priceRules.currency');
+        }
+        checkKeys(defaults, SETTING_KEYS, 'priceRules.defaults');
+        checkSettings(defaults, 'priceRules.defaults');
+        if (!Array.isArray(rules)) {
+            throw new ValidationError('priceRules.rules must be an array', 'priceRules.rules');
+        }
+        rules.forEach((rule, index) => {
+            const path = `priceRules.rules[${index}]`;
+            checkKeys(rule, ['name', 'match', ...SETTING_KEYS], path);
+            checkKeys(rule.match || {}, MATCH_KEYS, `${path}.match`);
+            checkAmount((rule.match || {}).minCost, `${path}.match.minCost`);
+            checkAmount((rule.match || {}).maxCost, `${path}.match.maxCost`);
+            checkSettings(rule, path);
+        });
+
+        this.currency = currency;
+        this.rates = { ...rates };
+        this.defaults = defaults;
+        this.rules = rules;
+    }
+
+    /**
+     * Convert a supplier cost to the store currency
+     * @param {number} cost - Supplier cost
+     * @param {string} [currency] - Currency of the cost (default: config.currency)
+     * @returns {number} Cost in the store currency
+     * @throws {ValidationError} If the currency is not in the rate table
+     */
+    convert(cost, currency = this.currency) {
+        if (currency === null || currency === undefined) {
+            return cost;
+        }
+        if (!this.rates[currency]) {
+            throw new ValidationError(`No rate for currency ${currency} in priceRules.rates`, 'currency');
+        }
+        return cost * this.rates[currency];
+    }
+
+    /**
+     * Find the rule for a product and cost
+     * @param {Object} product - addProduct() payload
+     * @param {number} cost - Cost in the store currency
+     * @returns {Object|null} { rule, index }, or null if only the defaults apply
+     */
+    findRule(product, cost) {
+        for (const [index, rule] of this.rules.entries()) {
+            const match = rule.match || {};
+            const matched = ['categoryName', 'subcategoryName', 'provider', 'productType', 'sourceProductId']
+                .every(key => match[key] === undefined || matchesField(key, product[key], match[key])) &&
+                (match.minCost === undefined || cost >= match.minCost) &&
+                (match.maxCost === undefined || cost < match.maxCost);
+            if (matched) {
+                return { rule, index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Work out the store price for a supplier cost
+     *
+     * @param {Object} product - addProduct() payload the cost belongs to
+     * @param {number} cost - Supplier cost
+     * @param {Object} [options] - Pricing options
+     * @param {string} [options.currency] - Currency of the cost (default: config.currency)
+     * @returns {Object} { cost, currency, convertedCost, price, rule } where rule is the rule name,
+     *   'rules[<index>]' for an unnamed rule or 'defaults'
+     * @throws {ValidationError} If the currency is not in the rate table
+     */
+    price(product, cost, options = {}) {
+        const currency = options.currency !== undefined ? options.currency : this.currency;
+        const convertedCost = this.convert(cost, currency);
+        const found = this.findRule(product, convertedCost);
+        const settings = { ...this.defaults, ...(found ? found.rule : {}) };
+        const { markup = {}, min, max, rounding } = settings;
+
+        const marked = convertedCost * (1 + (markup.percent || 0) / 100) + (markup.fixed || 0);
+        const price = roundWithin(Math.max(0, marked), rounding, min, max);
+
+        return {
+            cost: cost,
+            currency: currency,
+            convertedCost: toPriceDecimals(convertedCost),
+            price: toPriceDecimals(price),
+            rule: found ? (found.rule.name || `rules[${found.index}]`) : 'defaults'
+        };
+    }
+
+    /**
+     * Price every subproduct of a payload
+     *
+     * @param {Object} product - addProduct() payload with supplier costs as subproduct prices
+     * @param {Object} [options] - Same options as price()
+     * @returns {Array<Object>} price() results plus subproductId, one per subproduct with a numeric cost
+     * @throws {ValidationError} If the currency is not in the rate table
+     */
+    explain(product, options = {}) {
+        return (product.subproducts || [])
+            .filter(subproduct => subproduct && typeof subproduct.price === 'number' && Number.isFinite(subproduct.price))
+            .map(subproduct => ({
+                subproductId: subproduct.sourceProductId,
+                ...this.price(product, subproduct.price, options)
+            }));
+    }
+
+    /**
+     * Replace the supplier costs in a payload with store prices
+     * Subproducts without a numeric cost are left as they are, for validateProduct() to report.
+     *
+     * @param {Object} product - addProduct() payload with supplier costs as subproduct prices
+     * @param {Object} [options] - Same options as price()
+     * @returns {Object} New payload; the one given is not changed
+     * @throws {ValidationError} If the currency is not in the rate table
+     *
+     * @example
+     * const rules = new PriceRules({
+     *   currency: 'EUR',
+     *   rates: { EUR: 1.08 },
+     *   defaults: { markup: { percent: 25 }, rounding: { mode: 'up', step: 1, ending: 0.99 } },
+     *   rules: [{ name: 'proxies', match: { categoryName: 'Proxy Services' }, markup: { percent: 10 }, min: 1 }]
+     * });
+     * await productApi.addProduct(rules.apply(payload), { priceRules: false });
+     */
+    apply(product, options = {}) {
+        if (!product || !Array.isArray(product.subproducts)) {
+            return product;
+        }
+        return {
+            ...product,
+            subproducts: product.subproducts.map(subproduct => {
+                if (!subproduct || typeof subproduct.price !== 'number' || !Number.isFinite(subproduct.price)) {
+                    return subproduct;
+                }
+                return { ...subproduct, price: this.price(product, subproduct.price, options).price };
+            })
+        };
+    }
+}
+
+/**
+ * Accept price rules as a PriceRules instance or a plain configuration
+ * @param {PriceRules|Object} [rules] - Rules or configuration
+ * @returns {PriceRules|null} null if none given
+ * @throws {ValidationError} If the configuration is malformed
+ */
+function toPriceRules(rules) {
+    if (!rules) {
+        return null;
+    }
+    return rules instanceof PriceRules ? rules : new PriceRules(rules);
+}
+
+module.exports = {
+    ROUNDING_MODES,
+    roundPrice,
+    toPriceRules,
+    PriceRules
+};
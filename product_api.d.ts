@@ -0,0 +1,1106 @@
+/**
+ * Type definitions for the hstockplus.com Product API SDK
+ *
+ * Results are a union on `success`: `data` is only available once the result
+ * has been narrowed with `if (result.success)`.
+ */
+
+/// <reference types="node" />
+
+import { Readable } from 'stream';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { AxiosInstance, AxiosProxyConfig } from 'axios';
+
+declare namespace ProductApi {
+    // Products
+
+    type ProductType = 'auto' | 'manual' | 'inventory';
+
+    type CategoryName = 'Accounts' | 'Email' | 'Proxy Services';
+
+    interface SubproductInput {
+        /** Used to find/update an existing subproduct or create a new one */
+        sourceProductId: string;
+        /** Subproduct name */
+        sourceName: string;
+        /** Price, up to 4 decimal places; a numeric string such as '25.99' is sent as a number */
+        price: number | string;
+        /** Stock, 0 disables the subproduct */
+        stock: number | string;
+        name?: string;
+        /** Minimum purchase quantity (default: 1) */
+        minQuantity?: number | string;
+        shortDescription?: string;
+    }
+
+    interface ProductInput {
+        /** Used when the product is created, cannot be modified on update */
+        categoryName: CategoryName | (string & {});
+        /** Used when the product is created, cannot be modified on update */
+        subcategoryName: string;
+        /** Product ID on the source website, used as unique identifier */
+        sourceProductId: string;
+        name: string;
+        /** At least one subproduct */
+        subproducts: SubproductInput[];
+        /** Auto-generated as provider + "_" + sourceProductId if not provided */
+        sourceUrl?: string;
+        provider?: string;
+        /** Plain text or HTML */
+        description?: string;
+        descriptionText?: string;
+        /** Image path from uploadImage(), or an uploadImage() source to upload first */
+        image?: string | ImageSource | null;
+        /** Default: 7 */
+        warrantyDays?: number;
+        /** Default: true */
+        active?: boolean;
+        /** Default: 'auto' */
+        productType?: ProductType;
+    }
+
+    /** addProduct() payload as built from the store, e.g. by exportCatalog() */
+    interface ProductPayload extends ProductInput {
+        image?: string;
+    }
+
+    interface CategoryRef {
+        id: string;
+        name: string;
+        slug: string;
+    }
+
+    interface Subproduct {
+        id: string;
+        name?: string;
+        sourceName: string;
+        price: number;
+        stock: number;
+        minQuantity: number;
+        sourceProductId: string;
+        isActive: boolean;
+        shortDescription?: string;
+    }
+
+    /** Product object returned by getProducts() */
+    interface Product {
+        id: string;
+        friendlyId: number;
+        name: string;
+        description?: string;
+        descriptionText?: string;
+        image?: string;
+        provider?: string;
+        sourceProductId: string;
+        sourceUrl?: string;
+        productType: ProductType;
+        isActive: boolean;
+        warrantyDays?: number;
+        category: CategoryRef;
+        subcategory: CategoryRef;
+        subproducts: Subproduct[];
+        createdAt: string;
+        updatedAt: string;
+    }
+
+    // Results
+
+    interface SuccessResult<T> {
+        success: true;
+        status: number;
+        data: T;
+        /** Time spent in ms, including retries */
+        duration: number;
+        /** Attempts made, 0 when answered from a cache */
+        attempts: number;
+    }
+
+    interface FailureResult {
+        success: false;
+        /** HTTP status, null if no response was received */
+        status: number | null;
+        /** Response body, or a description such as 'No response received' */
+        error: unknown;
+        message: string;
+        duration?: number;
+        attempts?: number;
+        /** Every validation problem, in bulk reports */
+        errors?: ValidationIssue[];
+    }
+
+    type Result<T> = SuccessResult<T> | FailureResult;
+
+    /** Result of a method that walks several pages or answers from the cached catalog; it has no attempts count */
+    type CatalogResult<T> = Omit<SuccessResult<T>, 'attempts'> | FailureResult;
+
+    interface AddProductData {
+        success?: boolean;
+        message?: string;
+        productId: string;
+        friendlyId: number;
+    }
+
+    interface ProductList {
+        products: Product[];
+        /** Number of products in this page */
+        count: number;
+        /** Total number of matching products */
+        total: number;
+    }
+
+    interface DeleteProductData {
+        success: boolean;
+        message: string;
+        friendlyId: number;
+        productId: string;
+    }
+
+    interface UploadImageData {
+        imagePath: string;
+    }
+
+    type UploadImageResult = (SuccessResult<UploadImageData> & { cached?: boolean }) | FailureResult;
+
+    type GetAllProductsResult = (Omit<SuccessResult<ProductList>, 'attempts'> & { aborted: boolean }) | FailureResult;
+
+    interface Change {
+        /** e.g. 'name' or 'subproducts[SUB-1].stock' */
+        path: string;
+        from: unknown;
+        to: unknown;
+    }
+
+    type UpdateResult =
+        | (SuccessResult<AddProductData> & { changes: Change[]; unchanged?: false })
+        | (SuccessResult<null> & { changes: []; unchanged: true })
+        | (FailureResult & { changes?: Change[] });
+
+    /** changes and unchanged are only set when the client has a changeStore */
+    type AddProductResult =
+        | (SuccessResult<AddProductData> & { changes?: Change[]; unchanged?: boolean })
+        | FailureResult;
+
+    // Client options
+
+    type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+    interface Logger {
+        debug(message: string, meta?: object): void;
+        info(message: string, meta?: object): void;
+        warn(message: string, meta?: object): void;
+        error(message: string, meta?: object): void;
+    }
+
+    /** Adapt a logger taking (meta, message), like pino or bunyan */
+    function pinoLogger(logger: {
+        debug(meta: object, message: string): void;
+        info(meta: object, message: string): void;
+        warn(meta: object, message: string): void;
+        error(meta: object, message: string): void;
+    }): Logger;
+
+    /** Replacement value for a logged key, or undefined to keep it */
+    type RedactRule = string | ((key: string, value: unknown, path: string) => unknown);
+
+    interface RetryOptions {
+        /** Maximum attempts per request, 1 disables retries (default: 3) */
+        maxAttempts?: number;
+        /** Delay before the first retry in ms, doubled on each retry (default: 500) */
+        baseDelay?: number;
+        /** Maximum delay between attempts in ms (default: 30000) */
+        maxDelay?: number;
+        /** Randomize each delay between 50% and 100% of the backoff (default: true) */
+        jitter?: boolean;
+        /** Default: [429, 500, 502, 503, 504] */
+        retryOnStatus?: number[];
+    }
+
+    interface RequestInfo {
+        method: string;
+        url: string;
+        params?: object | null;
+        data?: unknown;
+        attempt: number;
+    }
+
+    type ResponseInfo = Result<unknown> & {
+        method: string;
+        url: string;
+        attempt: number;
+        willRetry: boolean;
+    };
+
+    /** axios request config, as passed to a transport */
+    interface TransportRequest {
+        method: string;
+        url: string;
+        headers: Record<string, string>;
+        params?: Record<string, unknown>;
+        data?: unknown;
+        timeout?: number;
+    }
+
+    interface TransportResponse {
+        status: number;
+        headers?: Record<string, string>;
+        data: unknown;
+    }
+
+    /** Rejects HTTP errors with an error whose `response` holds the response, like axios */
+    type Transport = (config: TransportRequest) => Promise<TransportResponse>;
+
+    /** Connection options, set for the client or overridden per call */
+    interface RequestOptions {
+        /** Default: 'https://hstockplus.com/api/admin/v2' */
+        baseUrl?: string;
+        /** Request timeout in ms, 0 for none (default: 30000) */
+        timeout?: number;
+        /** Extra headers, merged with the client headers */
+        headers?: Record<string, string>;
+        /** Proxy URL, axios proxy object, or false to ignore HTTP(S)_PROXY */
+        proxy?: string | AxiosProxyConfig | false;
+        /** Reuse connections between requests (default: Node.js default agents) */
+        keepAlive?: boolean;
+        httpAgent?: HttpAgent;
+        httpsAgent?: HttpsAgent;
+        axiosInstance?: AxiosInstance;
+        /** Default: axios */
+        transport?: Transport;
+    }
+
+    interface ProductApiOptions extends RequestOptions {
+        retry?: RetryOptions;
+        /** Default: console, null disables logging */
+        logger?: Logger | null;
+        /** Default: 'debug' */
+        logLevel?: LogLevel;
+        /** Default: 10000 */
+        maxLogBodyLength?: number;
+        redact?: RedactRule[];
+        onRequest?: (info: RequestInfo) => void;
+        onResponse?: (info: ResponseInfo) => void;
+        /** Called after addProduct() sent a product, when a changeStore is set */
+        onProductChange?: (info: ProductChangeInfo) => void;
+        /** Throw typed errors instead of returning failed results (default: false) */
+        throwOnError?: boolean;
+        imageCache?: ImageCache;
+        /** Store of the products last sent, so addProduct() skips unchanged products */
+        changeStore?: ChangeStore;
+        /** Turns the subproduct prices given to addProduct() from supplier costs into store prices */
+        priceRules?: PriceRules | PriceRulesConfig;
+        /** Limiter every request attempt waits for; share one instance to limit clients together */
+        rateLimiter?: Limiter | RateLimiterOptions;
+        /** How long updateStock()/updatePrices(), findProducts() and the category lookups reuse the downloaded catalog in ms (default: 60000) */
+        productCacheTtl?: number;
+        /** Reject addProduct() calls with an unknown category or subcategory (default: true) */
+        categoryCheck?: boolean;
+        /** Hard deletes allowed through safeDeleteProduct() before resetDeleteCount() (default: 10) */
+        maxDeletesPerRun?: number;
+        /** Where safeDeleteProduct() saves products before a hard delete */
+        deleteSnapshotDir?: string;
+    }
+
+    interface AddProductOptions extends RequestOptions {
+        /** Set to false to create a new category or subcategory */
+        categoryCheck?: boolean;
+        /** Send the product even if the changeStore says it did not change */
+        force?: boolean;
+        /** Set to false to leave warrantyDays out when not given, so an existing product keeps its value */
+        applyDefaults?: boolean;
+        /** Set to false to send the prices as given when the client has priceRules */
+        priceRules?: false;
+        /** Currency of the supplier costs, for the client's priceRules */
+        currency?: string;
+    }
+
+    // Images
+
+    type ImageSource =
+        | { imageUrl: string }
+        | { imageBase64: string }
+        | { filePath: string }
+        | { buffer: Buffer }
+        | { stream: Readable };
+
+    type ImageOptimizer = (buffer: Buffer, info: { type: string; size: number; maxSize: number }) => Promise<Buffer> | Buffer;
+
+    type UploadImageOptions = ImageSource & {
+        optimize?: ImageOptimizer;
+        /** Upload even if the image is cached (default: false) */
+        refreshCache?: boolean;
+    };
+
+    interface ImageCacheEntry {
+        imagePath: string;
+        createdAt: number;
+    }
+
+    /** Image cache backend; every method may return a Promise */
+    interface ImageCache {
+        get(key: string): ImageCacheEntry | null | Promise<ImageCacheEntry | null>;
+        set(key: string, entry: ImageCacheEntry): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+        clear(): void | Promise<void>;
+        /** Needed to invalidate by imagePath */
+        entries?(): Array<[string, ImageCacheEntry]> | Promise<Array<[string, ImageCacheEntry]>>;
+    }
+
+    interface ImageCacheOptions {
+        /** Entries older than this (ms) are uploaded again */
+        maxAge?: number;
+    }
+
+    class MemoryImageCache implements ImageCache {
+        constructor(options?: ImageCacheOptions);
+        get(key: string): ImageCacheEntry | null;
+        set(key: string, entry: ImageCacheEntry): void;
+        delete(key: string): void;
+        clear(): void;
+        entries(): Array<[string, ImageCacheEntry]>;
+    }
+
+    class JsonFileImageCache implements ImageCache {
+        constructor(filePath: string, options?: ImageCacheOptions);
+        get(key: string): Promise<ImageCacheEntry | null>;
+        set(key: string, entry: ImageCacheEntry): Promise<void>;
+        delete(key: string): Promise<void>;
+        clear(): Promise<void>;
+        entries(): Promise<Array<[string, ImageCacheEntry]>>;
+    }
+
+    // Change detection
+
+    interface ChangeStoreEntry {
+        /** SHA-256 of the normalized payload */
+        fingerprint: string;
+        payload: ProductInput;
+        productId: string | null;
+        friendlyId: number | null;
+        /** Filled by seedChangeStore(), compared field by field */
+        seeded: boolean;
+        createdAt: number;
+    }
+
+    /** Change store backend; every method may return a Promise */
+    interface ChangeStore {
+        get(key: string): ChangeStoreEntry | null | Promise<ChangeStoreEntry | null>;
+        set(key: string, entry: ChangeStoreEntry): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+        clear(): void | Promise<void>;
+        /** Needed to forget deleted products */
+        entries?(): Array<[string, ChangeStoreEntry]> | Promise<Array<[string, ChangeStoreEntry]>>;
+    }
+
+    interface ChangeStoreOptions {
+        /** Entries older than this (ms) are ignored, so the product is sent again */
+        maxAge?: number;
+    }
+
+    class MemoryChangeStore implements ChangeStore {
+        constructor(options?: ChangeStoreOptions);
+        get(key: string): ChangeStoreEntry | null;
+        set(key: string, entry: ChangeStoreEntry): void;
+        delete(key: string): void;
+        clear(): void;
+        entries(): Array<[string, ChangeStoreEntry]>;
+    }
+
+    class JsonFileChangeStore implements ChangeStore {
+        constructor(filePath: string, options?: ChangeStoreOptions);
+        get(key: string): Promise<ChangeStoreEntry | null>;
+        set(key: string, entry: ChangeStoreEntry): Promise<void>;
+        delete(key: string): Promise<void>;
+        clear(): Promise<void>;
+        entries(): Promise<Array<[string, ChangeStoreEntry]>>;
+    }
+
+    interface ProductChangeInfo {
+        sourceProductId: string;
+        friendlyId: number | null;
+        /** Not in the store before, changes is empty */
+        firstSeen: boolean;
+        changes: Change[];
+    }
+
+    interface SeedChangeStoreOptions {
+        /** Download the catalog even if the cached one is fresh (default: false) */
+        refresh?: boolean;
+        /** Seed from an exportCatalog() JSON file, { products } or an array of products instead */
+        snapshot?: string | { products: Array<Product | ProductInput> } | Array<Product | ProductInput>;
+    }
+
+    function fingerprintProduct(product: Product | ProductInput): string;
+
+    // Price rules
+
+    type RoundingMode = 'nearest' | 'up' | 'down';
+
+    interface PriceSettings {
+        /** price = cost * (1 + percent / 100) + fixed */
+        markup?: { percent?: number; fixed?: number };
+        /** Lowest price, applied before rounding, which stays above it */
+        min?: number;
+        /** Highest price, applied before rounding, which stays below it */
+        max?: number;
+        /** Prices land on multiples of step plus ending, e.g. { step: 1, ending: 0.99 } */
+        rounding?: { mode?: RoundingMode; step?: number; ending?: number };
+    }
+
+    interface PriceRuleMatch {
+        categoryName?: string | string[];
+        subcategoryName?: string | string[];
+        provider?: string | string[];
+        productType?: ProductType | ProductType[];
+        sourceProductId?: string | string[];
+        /** Inclusive, in the store currency */
+        minCost?: number;
+        /** Exclusive, in the store currency */
+        maxCost?: number;
+    }
+
+    interface PriceRule extends PriceSettings {
+        name?: string;
+        match?: PriceRuleMatch;
+    }
+
+    interface PriceRulesConfig {
+        /** Currency of the supplier costs (default: no conversion) */
+        currency?: string;
+        /** Store currency units per unit of each currency */
+        rates?: Record<string, number>;
+        defaults?: PriceSettings;
+        /** Tried in order, the first match wins */
+        rules?: PriceRule[];
+    }
+
+    interface PricingOptions {
+        /** Currency of the cost (default: the configured currency) */
+        currency?: string;
+    }
+
+    interface PricedCost {
+        cost: number;
+        currency: string | null;
+        convertedCost: number;
+        price: number;
+        /** Rule name, 'rules[<index>]' or 'defaults' */
+        rule: string;
+    }
+
+    class PriceRules {
+        constructor(config?: PriceRulesConfig);
+        currency: string | null;
+        rates: Record<string, number>;
+        convert(cost: number, currency?: string | null): number;
+        price(product: ProductInput, cost: number, options?: PricingOptions): PricedCost;
+        explain(product: ProductInput, options?: PricingOptions): Array<PricedCost & { subproductId: string }>;
+        apply<T extends ProductInput>(product: T, options?: PricingOptions): T;
+    }
+
+    interface PreviewPricesOptions extends PricingOptions {
+        /** Rules to preview instead of the client's */
+        priceRules?: PriceRules | PriceRulesConfig;
+        /** Download the catalog even if the cached one is fresh (default: false) */
+        refresh?: boolean;
+    }
+
+    interface PricePreviewRow {
+        sourceProductId: string;
+        subproductId: string;
+        name: string;
+        cost: number;
+        currency: string | null;
+        convertedCost: number;
+        /** null if the subproduct is not in the store yet */
+        oldPrice: number | null;
+        newPrice: number;
+        changed: boolean;
+        rule: string;
+    }
+
+    // Queries
+
+    interface GetProductsOptions {
+        /** One type, or comma-separated like 'auto,manual,inventory' (default: 'auto') */
+        productType?: ProductType | (string & {});
+        /** Default: true */
+        isActive?: boolean;
+        /** Default: 50 */
+        limit?: number;
+        /** Default: 0 */
+        offset?: number;
+    }
+
+    interface IterateProductsOptions {
+        productType?: ProductType | (string & {});
+        isActive?: boolean;
+        /** Default: 50 */
+        pageSize?: number;
+        signal?: AbortSignal;
+    }
+
+    type DateInput = Date | string | number;
+
+    type SortKey = 'name' | 'provider' | 'categoryName' | 'subcategoryName' | 'friendlyId' | 'price' | 'stock' | 'createdAt' | 'updatedAt';
+
+    /** Filters are combined with AND; string filters ignore case and punctuation */
+    interface ProductQuery {
+        /** Name contains this text (case-insensitive) or matches the RegExp */
+        name?: string | RegExp;
+        provider?: string | string[];
+        categoryName?: string | string[];
+        subcategoryName?: string | string[];
+        /** One type, comma-separated or an array */
+        productType?: ProductType | (string & {}) | ProductType[];
+        isActive?: boolean;
+        sourceProductId?: string | string[];
+        friendlyId?: number | string | Array<number | string>;
+        /** Some subproduct costs at least this much */
+        minPrice?: number;
+        /** Some subproduct costs at most this much */
+        maxPrice?: number;
+        /** true: no stock left in any subproduct, false: some stock left */
+        zeroStock?: boolean;
+        updatedAfter?: DateInput;
+        updatedBefore?: DateInput;
+        /** Not updated for at least this many ms */
+        notUpdatedFor?: number;
+        /** Updated in the last this many ms */
+        updatedWithin?: number;
+        /** '-' prefix for descending, e.g. ['-updatedAt', 'name'] */
+        sort?: SortKey | `-${SortKey}` | Array<SortKey | `-${SortKey}`>;
+        limit?: number;
+        /** Default: 0 */
+        offset?: number;
+    }
+
+    interface CatalogOptions {
+        /** Download the catalog even if the cached one is fresh (default: false) */
+        refresh?: boolean;
+        /** Reuse a downloaded catalog up to this old in ms (default: productCacheTtl) */
+        maxAge?: number;
+    }
+
+    interface FindProductsOptions extends CatalogOptions {
+        /** Search an exportCatalog() JSON file, { products } or an array of products instead of the store */
+        snapshot?: string | { products: Array<Product | ProductInput> } | Array<Product | ProductInput>;
+    }
+
+    interface FindProductsData<T = Product> {
+        products: T[];
+        /** Matches before limit/offset */
+        total: number;
+    }
+
+    class ProductIndex<T extends Product | ProductInput = Product> {
+        constructor(products: T[]);
+        products: T[];
+        getBySourceProductId(sourceProductId: string): T | null;
+        getByFriendlyId(friendlyId: number | string): T | null;
+        find(query?: ProductQuery): FindProductsData<T>;
+    }
+
+    // Validation
+
+    interface ValidationIssue {
+        /** e.g. 'subproducts[0].price' */
+        path: string;
+        message: string;
+    }
+
+    interface ValidateOptions {
+        /** Reject unknown fields (default: false) */
+        strict?: boolean;
+        /** Require categories from the reference list (default: true) */
+        checkCategories?: boolean;
+    }
+
+    interface ValidationReport {
+        valid: boolean;
+        errors: ValidationIssue[];
+    }
+
+    function validateProduct(productData: unknown, options?: ValidateOptions): ValidationReport;
+
+    // Bulk operations
+
+    interface ProgressEvent {
+        type: 'started' | 'succeeded' | 'failed';
+        index: number;
+        /** sourceProductId, or friendly ID for deletes */
+        id: string | number | null;
+        result?: Result<unknown>;
+        message?: string;
+        total: number;
+        completed: number;
+        succeeded: number;
+        failed: number;
+        cancelled: number;
+        /** Time since the start in ms */
+        elapsed: number;
+        /** Estimated time left in ms, null until the first item finishes */
+        eta: number | null;
+    }
+
+    interface BulkOptions {
+        /** Maximum requests in flight (default: 4) */
+        concurrency?: number;
+        signal?: AbortSignal;
+        onProgress?: (event: ProgressEvent) => void;
+    }
+
+    interface BulkItemResult<T> {
+        index: number;
+        id: string | number | null;
+        status: 'succeeded' | 'failed' | 'cancelled';
+        /** null when cancelled */
+        result: Result<T> | null;
+        message: string | null;
+    }
+
+    interface BulkReport<T> {
+        success: boolean;
+        cancelled: boolean;
+        results: Array<BulkItemResult<T>>;
+        summary: { total: number; succeeded: number; failed: number; cancelled: number };
+        duration: number;
+    }
+
+    // Stock and price updates
+
+    interface UpdateOptions {
+        /** Download the catalog even if the cached one is fresh (default: false) */
+        refresh?: boolean;
+    }
+
+    interface SubproductUpdate {
+        stock?: number;
+        price?: number;
+    }
+
+    // Categories
+
+    interface SubcategoryInfo {
+        name: string;
+        /** null if no store product uses it yet */
+        slug: string | null;
+        inReference: boolean;
+        productCount: number;
+    }
+
+    interface CategoryInfo extends SubcategoryInfo {
+        subcategories: SubcategoryInfo[];
+    }
+
+    interface CategoryTarget {
+        categoryName: string;
+        subcategoryName: string;
+    }
+
+    interface CategorySuggestion extends CategoryTarget {
+        /** From minScore to 1 */
+        score: number;
+    }
+
+    interface SuggestOptions {
+        /** Default: 3 */
+        limit?: number;
+        /** Default: 0.5 */
+        minScore?: number;
+    }
+
+    interface CategoryMapperOptions {
+        /** Supplier label => 'Category / Subcategory' or { categoryName, subcategoryName } */
+        mappings?: Record<string, string | CategoryTarget>;
+        /** Default: the reference list */
+        categories?: CategoryInfo[];
+        /** Accept mapping targets that are not known categories (default: false) */
+        allowNewCategories?: boolean;
+        /** Map unmapped labels equal to a known subcategory (default: true) */
+        autoMatch?: boolean;
+    }
+
+    class CategoryMapper {
+        constructor(options?: CategoryMapperOptions);
+        categories: CategoryInfo[];
+        /** Throws a ValidationError with `suggestions` if the label has no mapping */
+        map(label: string): CategoryTarget;
+        suggest(label: string, options?: SuggestOptions): CategorySuggestion[];
+    }
+
+    // Safe delete
+
+    type SafeDeleteOptions = ({ sourceProductId: string; name?: string } | { sourceProductId?: string; name: string }) & {
+        /** Default: 'deactivate' */
+        mode?: 'deactivate' | 'delete';
+        /** Default: the deleteSnapshotDir client option, required for hard deletes */
+        snapshotDir?: string;
+        /** Download the catalog even if the cached one is fresh (default: false; hard deletes always download it) */
+        refresh?: boolean;
+    };
+
+    type SafeDeleteResult =
+        | (SuccessResult<AddProductData | DeleteProductData | null> & { action: 'deactivate' | 'delete'; snapshotPath?: string; unchanged?: boolean })
+        | (FailureResult & { action?: 'deactivate' | 'delete'; snapshotPath?: string });
+
+    // Catalog sync
+
+    type MissingPolicy = 'deactivate' | 'delete' | 'ignore';
+
+    interface SyncOptions {
+        dryRun?: boolean;
+        /** Default: 'deactivate' */
+        missingPolicy?: MissingPolicy;
+        provider?: string;
+        /** Default: 'auto,manual,inventory' */
+        productType?: string;
+        pageSize?: number;
+        /** Give created products the addProduct() defaults. Default: true */
+        applyDefaults?: boolean;
+    }
+
+    type SyncAction = 'create' | 'update' | 'unchanged' | 'deactivate' | 'delete';
+
+    interface SyncPlanEntry {
+        action: SyncAction;
+        sourceProductId: string;
+        /** null for products to create */
+        friendlyId: number | null;
+        name: string;
+        changes: Change[];
+        /** null for deletes */
+        payload: ProductPayload | null;
+    }
+
+    interface SyncResultEntry {
+        action: SyncAction;
+        sourceProductId: string;
+        friendlyId: number | null;
+        name: string;
+        changes: Change[];
+        success: boolean;
+        status: number | null;
+        message?: string;
+    }
+
+    interface SyncReport {
+        success: boolean;
+        dryRun: boolean;
+        plan: SyncPlanEntry[];
+        results: SyncResultEntry[];
+        summary: Record<SyncAction | 'failed', number>;
+    }
+
+    // Import and export
+
+    type FileFormat = 'csv' | 'jsonl' | 'json';
+
+    interface ImportOptions {
+        /** Default: detected from the file extension */
+        format?: FileFormat;
+        /** Target field => column name or (row) => value; subproduct fields are prefixed with 'subproduct.' */
+        columns?: Record<string, string | ((row: Record<string, string>) => unknown)>;
+        defaults?: Partial<ProductInput>;
+        /** Default: ',' */
+        delimiter?: string;
+        /** Default: 4 */
+        concurrency?: number;
+        strict?: boolean;
+        checkCategories?: boolean;
+        failedRowsPath?: string;
+    }
+
+    interface ImportRow {
+        line: number;
+        sourceProductId: string | null;
+        subproductId: string | null;
+        status: 'success' | 'validation_error' | 'api_error';
+        message: string | null;
+        errors: ValidationIssue[];
+    }
+
+    interface ImportReport {
+        success: boolean;
+        rows: ImportRow[];
+        products: Array<{
+            sourceProductId: string;
+            success: boolean;
+            status: number | null;
+            friendlyId?: number;
+            message?: string;
+        }>;
+        summary: { rows: number; products: number; succeeded: number; validationFailed: number; apiFailed: number };
+        failedRowsPath: string | null;
+    }
+
+    interface ExportOptions {
+        format?: FileFormat;
+        columns?: string[];
+        /** Default: 'auto,manual,inventory' */
+        productType?: string;
+        /** Default: true */
+        includeInactive?: boolean;
+        pageSize?: number;
+        delimiter?: string;
+    }
+
+    interface ExportReport {
+        success: true;
+        filePath: string;
+        format: FileFormat;
+        products: number;
+        rows: number;
+    }
+
+    // Errors
+
+    interface ErrorDetails {
+        status?: number | null;
+        body?: unknown;
+        request?: { method: string; url: string; params?: object };
+        attempts?: number;
+        duration?: number;
+    }
+
+    class ProductApiError extends Error {
+        constructor(message: string, details?: ErrorDetails);
+        status: number | null;
+        body: unknown;
+        request?: { method: string; url: string; params?: object };
+        attempts?: number;
+        duration?: number;
+    }
+
+    class ValidationError extends ProductApiError {
+        constructor(message: string, field: string, details?: ErrorDetails & { errors?: ValidationIssue[] });
+        field: string;
+        errors: ValidationIssue[];
+    }
+
+    class AuthError extends ProductApiError {}
+
+    class NotFoundError extends ProductApiError {}
+
+    class RateLimitError extends ProductApiError {
+        constructor(message: string, details?: ErrorDetails & { retryAfter?: number | null });
+        /** Retry-After in ms, null if the server did not send it */
+        retryAfter: number | null;
+    }
+
+    class ServerError extends ProductApiError {}
+
+    class NetworkError extends ProductApiError {
+        constructor(message: string, details?: ErrorDetails & { code?: string });
+        /** Low-level error code, e.g. 'ECONNRESET' */
+        code?: string;
+    }
+
+    class TimeoutError extends NetworkError {}
+
+    // Testing
+
+    interface MockServerOptions {
+        /** Only accept this API key (default: any non-empty key) */
+        apikey?: string;
+        /** addProduct() payloads to start with */
+        products?: ProductInput[];
+        /** Default: 1001 */
+        firstFriendlyId?: number;
+    }
+
+    interface MockFailure {
+        /** Default: 500 */
+        status?: number;
+        headers?: Record<string, string>;
+        data?: unknown;
+        /** Default: 1 */
+        times?: number;
+    }
+
+    class MockServer {
+        constructor(options?: MockServerOptions);
+        products: Product[];
+        images: Array<{ imagePath: string; type: string; source: string }>;
+        requests: Array<{ method: string; path: string; params?: object; data?: unknown }>;
+        transport: Transport;
+        reset(): void;
+        failNext(failure?: MockFailure): void;
+        listen(port?: number): Promise<{ baseUrl: string; close(): Promise<void> }>;
+    }
+
+    interface Fixtures {
+        exchanges: Array<{
+            request: { method: string; url: string; params?: object; data?: unknown };
+            response: TransportResponse;
+        }>;
+    }
+
+    function createRecordingTransport(filePath: string, options?: { transport?: Transport }): Transport & { exchanges: Fixtures['exchanges'] };
+
+    function createReplayTransport(fixtures: string | Fixtures): Transport;
+
+    // Rate limiting and multiple accounts
+
+    const DEFAULT_BASE_URL: string;
+
+    interface RateLimiterOptions {
+        /** Maximum request starts per second */
+        requestsPerSecond?: number;
+        /** Maximum requests in flight */
+        maxConcurrent?: number;
+    }
+
+    /** Anything scheduling tasks, such as a RateLimiter */
+    interface Limiter {
+        schedule<T>(task: () => Promise<T>): Promise<T>;
+    }
+
+    class RateLimiter implements Limiter {
+        constructor(options?: RateLimiterOptions);
+        schedule<T>(task: () => Promise<T>): Promise<T>;
+        /** Tasks waiting to start */
+        readonly pending: number;
+    }
+
+    interface WithOptionsOverrides extends RequestOptions {
+        categoryCheck?: boolean;
+        /** false for none */
+        priceRules?: PriceRules | PriceRulesConfig | false;
+    }
+
+    interface AccountOptions extends ProductApiOptions {
+        apikey: string;
+    }
+
+    interface ClientManagerOptions {
+        /** ProductApi options for every account */
+        defaults?: ProductApiOptions;
+        /** Limits per host, shared by its accounts */
+        rateLimit?: RateLimiterOptions;
+        /** Connections per host, shared by its accounts (default: no limit) */
+        maxSockets?: number;
+        accounts?: Record<string, AccountOptions>;
+    }
+
+    interface CopyProductOptions {
+        /** Payload fields to change on the copy */
+        overrides?: Partial<ProductInput>;
+        /** Treat the source prices as costs for the target's priceRules (default: false) */
+        applyPriceRules?: boolean;
+        /** Download the source catalog even if the cached one is fresh (default: false) */
+        refresh?: boolean;
+    }
+
+    interface MirrorProductsOptions extends CopyProductOptions, SyncOptions {
+        /** findProducts() query selecting the source products (default: all) */
+        query?: ProductQuery;
+        /** Default: 'ignore' */
+        missingPolicy?: MissingPolicy;
+    }
+
+    class ClientManager {
+        constructor(options?: ClientManagerOptions);
+        addAccount(name: string, account: AccountOptions): ProductApi;
+        removeAccount(name: string): boolean;
+        get(name: string): ProductApi;
+        has(name: string): boolean;
+        names(): string[];
+        copyProduct(from: string, to: string, sourceProductId: string, options?: CopyProductOptions): Promise<AddProductResult>;
+        mirrorProducts(from: string, to: string, options?: MirrorProductsOptions): Promise<SyncReport | FailureResult>;
+        destroy(): void;
+    }
+}
+
+declare class ProductApi {
+    constructor(apikey: string, options?: ProductApi.ProductApiOptions);
+
+    apikey: string;
+    baseUrl: string;
+    timeout: number;
+    headers: Record<string, string>;
+    throwOnError: boolean;
+
+    withOptions(overrides: ProductApi.WithOptionsOverrides): ProductApi;
+
+    getHeader(): Record<string, string>;
+
+    getBaseUrl(requestOptions?: ProductApi.RequestOptions): string;
+
+    request<T = unknown>(
+        method: string,
+        url: string,
+        headers?: Record<string, string>,
+        data?: unknown,
+        params?: Record<string, unknown> | null,
+        options?: ProductApi.RequestOptions & { idempotent?: boolean }
+    ): Promise<ProductApi.Result<T>>;
+
+    uploadImage(options: ProductApi.UploadImageOptions, requestOptions?: ProductApi.RequestOptions): Promise<ProductApi.UploadImageResult>;
+
+    invalidateImageCache(source?: ProductApi.ImageSource | { imagePath: string }): Promise<number | null>;
+
+    addProduct(productData: ProductApi.ProductInput, requestOptions?: ProductApi.AddProductOptions): Promise<ProductApi.AddProductResult>;
+
+    previewPrices(
+        products: ProductApi.ProductInput | ProductApi.ProductInput[],
+        options?: ProductApi.PreviewPricesOptions
+    ): Promise<ProductApi.CatalogResult<{ rows: ProductApi.PricePreviewRow[] }>>;
+
+    seedChangeStore(options?: ProductApi.SeedChangeStoreOptions): Promise<{ success: true; seeded: number } | ProductApi.FailureResult>;
+
+    invalidateChangeStore(sourceProductId?: string): Promise<void>;
+
+    checkCategory(categoryName: string, subcategoryName: string): Promise<{ success: true } | ProductApi.FailureResult>;
+
+    getCategories(options?: ProductApi.UpdateOptions): Promise<ProductApi.CatalogResult<{ categories: ProductApi.CategoryInfo[] }>>;
+
+    createCategoryMapper(
+        mappings: Record<string, string | ProductApi.CategoryTarget>,
+        options?: Omit<ProductApi.CategoryMapperOptions, 'mappings' | 'categories'> & ProductApi.UpdateOptions
+    ): Promise<ProductApi.CategoryMapper>;
+
+    getProducts(options?: ProductApi.GetProductsOptions, requestOptions?: ProductApi.RequestOptions): Promise<ProductApi.Result<ProductApi.ProductList>>;
+
+    iterateProducts(filters?: ProductApi.IterateProductsOptions): AsyncGenerator<ProductApi.Product, void, undefined>;
+
+    getAllProducts(filters?: ProductApi.IterateProductsOptions): Promise<ProductApi.GetAllProductsResult>;
+
+    deleteProduct(friendlyId: number | string, requestOptions?: ProductApi.RequestOptions): Promise<ProductApi.Result<ProductApi.DeleteProductData>>;
+
+    safeDeleteProduct(friendlyId: number | string, options: ProductApi.SafeDeleteOptions): Promise<ProductApi.SafeDeleteResult>;
+
+    restoreProduct(snapshotPath: string): Promise<ProductApi.AddProductResult>;
+
+    resetDeleteCount(): void;
+
+    addProducts(products: ProductApi.ProductInput[], options?: ProductApi.BulkOptions): Promise<ProductApi.BulkReport<ProductApi.AddProductData>>;
+
+    deleteProducts(friendlyIds: Array<number | string>, options?: ProductApi.BulkOptions): Promise<ProductApi.BulkReport<ProductApi.DeleteProductData>>;
+
+    updateStock(sourceProductId: string, stocks: Record<string, number>, options?: ProductApi.UpdateOptions): Promise<ProductApi.UpdateResult>;
+
+    updatePrices(sourceProductId: string, prices: Record<string, number>, options?: ProductApi.UpdateOptions): Promise<ProductApi.UpdateResult>;
+
+    updateSubproducts(
+        sourceProductId: string,
+        updates: Record<string, ProductApi.SubproductUpdate>,
+        options?: ProductApi.UpdateOptions
+    ): Promise<ProductApi.UpdateResult>;
+
+    invalidateProductCache(sourceProductId?: string): void;
+
+    findProducts(query?: ProductApi.ProductQuery, options?: ProductApi.FindProductsOptions): Promise<ProductApi.CatalogResult<ProductApi.FindProductsData<ProductApi.Product | ProductApi.ProductInput>>>;
+
+    getProductBySourceId(sourceProductId: string, options?: ProductApi.CatalogOptions): Promise<ProductApi.CatalogResult<ProductApi.Product | null>>;
+
+    getProductByFriendlyId(friendlyId: number | string, options?: ProductApi.CatalogOptions): Promise<ProductApi.CatalogResult<ProductApi.Product | null>>;
+
+    syncCatalog(desiredProducts: ProductApi.ProductInput[], options?: ProductApi.SyncOptions): Promise<ProductApi.SyncReport | ProductApi.FailureResult>;
+
+    importProducts(filePath: string, options?: ProductApi.ImportOptions): Promise<ProductApi.ImportReport>;
+
+    exportCatalog(filePath: string, options?: ProductApi.ExportOptions): Promise<ProductApi.ExportReport | ProductApi.FailureResult>;
+}
+
+export = ProductApi;
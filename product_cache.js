@@ -0,0 +1,253 @@
+/**
+ * Product Cache - Keep the store catalog in memory for lookups and searches
+ *
+ * The API can only list products, so a lookup downloads the whole catalog once
+ * and answers from memory until the entries are older than the TTL.
+ */
+
+const { fetchCatalog } = require('./catalog_sync');
+const { ProductIndex } = require('./product_search');
+const { SUBPRODUCT_FIELDS } = require('./product_payload');
+
+// Catalog lookups reuse downloaded products for this long by default
+const DEFAULT_TTL = 60000;
+
+class ProductCache {
+    /**
+     * @param {ProductApi} api - ProductApi instance used to fetch the catalog
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.ttl=60000] - How long the downloaded catalog is reused in ms (0 always re-downloads)
+     * @param {string} [options.productType='auto,manual,inventory'] - Product types to fetch
+     * @param {number} [options.pageSize=50] - Items per page when fetching the catalog
+     */
+    constructor(api, options = {}) {
+        const { ttl = DEFAULT_TTL, productType = 'auto,manual,inventory', pageSize = 50 } = options;
+
+        if (typeof ttl !== 'number' || ttl < 0) {
+            throw new Error('ttl must be a non-negative number');
+        }
+        this.api = api;
+        this.ttl = ttl;
+        this.productType = productType;
+        this.pageSize = pageSize;
+        this.products = new Map();
+        this.loadedAt = null;
+        this.loading = null;
+        this.queues = new Map();
+        this.index = null;
+    }
+
+    /**
+     * Check whether the downloaded catalog can still be used
+     * @param {number} [maxAge] - Maximum catalog age in ms (default: the TTL)
+     * @returns {boolean}
+     */
+    isFresh(maxAge = this.ttl) {
+        return this.loadedAt !== null && Date.now() - this.loadedAt < maxAge;
+    }
+
+    /**
+     * Download the catalog, sharing one download between concurrent callers
+     * @returns {Promise<Object>} { success } or the failed getProducts() result
+     */
+    refresh() {
+        if (!this.loading) {
+            this.loading = fetchCatalog(this.api, { productType: this.productType, pageSize: this.pageSize })
+                .then(result => {
+                    if (result.success) {
+                        this.products = new Map(result.products.map(product => [String(product.sourceProductId), product]));
+                        this.loadedAt = Date.now();
+                        this.index = null;
+                    }
+                    return result;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Find a product by sourceProductId
+     * A product missing from a cached catalog triggers one fresh download, in case it was created since.
+     *
+     * @param {string} sourceProductId - Product sourceProductId
+     * @param {Object} [options] - Same options as list()
+     * @returns {Promise<Object>} { success, product } where product is null if not found,
+     *   or the failed getProducts() result
+     */
+    async get(sourceProductId, options = {}) {
+        return await this.lookup(index => index.getBySourceProductId(sourceProductId), options);
+    }
+
+    /**
+     * Find a product by friendly ID, like get()
+     *
+     * @param {number|string} friendlyId - Product friendly ID
+     * @param {Object} [options] - Same options as list()
+     * @returns {Promise<Object>} { success, product } where product is null if not found,
+     *   or the failed getProducts() result
+     */
+    async getByFriendlyId(friendlyId, options = {}) {
+        return await this.lookup(index => index.getByFriendlyId(friendlyId), options);
+    }
+
+    /**
+     * Look a product up in the index, downloading the catalog again once if it is missing
+     * @param {Function} find - (index) => product or null
+     * @param {Object} options - Same options as list()
+     * @returns {Promise<Object>} { success, product } or the failed getProducts() result
+     */
+    async lookup(find, options) {
+        const downloaded = options.refresh || !this.isFresh(options.maxAge);
+        let result = await this.getIndex(options);
+
+        if (result.success && !find(result.index) && !downloaded) {
+            result = await this.getIndex({ refresh: true });
+        }
+        if (!result.success) {
+            return result;
+        }
+        return { success: true, product: find(result.index) };
+    }
+
+    /**
+     * Get every product in the catalog
+     *
+     * @param {Object} [options] - Lookup options
+     * @param {boolean} [options.refresh=false] - Download the catalog even if the cached one is fresh
+     * @param {number} [options.maxAge] - Reuse a downloaded catalog up to this old in ms (default: the TTL)
+     * @returns {Promise<Object>} { success, products } or the failed getProducts() result
+     */
+    async list(options = {}) {
+        const result = await this.getIndex(options);
+        return result.success ? { success: true, products: result.index.products } : result;
+    }
+
+    /**
+     * Get the search index of the catalog, rebuilt only after the catalog changed
+     * @param {Object} [options] - Same options as list()
+     * @returns {Promise<Object>} { success, index } or the failed getProducts() result
+     */
+    async getIndex(options = {}) {
+        if (options.refresh || !this.isFresh(options.maxAge)) {
+            const result = await this.refresh();
+            if (!result.success) {
+                return result;
+            }
+        }
+        if (!this.index) {
+            this.index = new ProductIndex(Array.from(this.products.values()));
+        }
+        return { success: true, index: this.index };
+    }
+
+    /**
+     * Run a read-modify-write task for a product, one task per product at a time
+     * Concurrent updates of the same product would otherwise start from the same
+     * copy and undo each other's changes.
+     *
+     * @param {string} sourceProductId - Product sourceProductId
+     * @param {Function} task - async () => result
+     * @returns {Promise<*>} Task result
+     */
+    exclusive(sourceProductId, task) {
+        const id = String(sourceProductId);
+        const run = (this.queues.get(id) || Promise.resolve()).then(task);
+        // The queue carries on after a failed task; the caller gets the failure from run
+        const queued = run.catch(() => {}).finally(() => {
+            if (this.queues.get(id) === queued) {
+                this.queues.delete(id);
+            }
+        });
+        this.queues.set(id, queued);
+        return run;
+    }
+
+    /**
+     * Store a product, e.g. after updating it
+     * @param {Object} product - Product object in the getProducts() shape
+     */
+    set(product) {
+        this.products.set(String(product.sourceProductId), product);
+        this.index = null;
+    }
+
+    /**
+     * Apply an addProduct() payload the store accepted to the cached product
+     * Fields are merged the way the store upserts them, so the next lookup needs no download.
+     * A product that is not cached is left for the next download, which has its IDs and category.
+     *
+     * @param {Object} payload - addProduct() payload that was sent
+     */
+    update(payload) {
+        const cached = this.products.get(String(payload.sourceProductId));
+        if (!cached) {
+            return;
+        }
+
+        const product = {
+            ...cached,
+            name: payload.name,
+            isActive: payload.active !== false,
+            updatedAt: new Date().toISOString()
+        };
+        for (const field of ['sourceUrl', 'provider', 'description', 'descriptionText', 'image', 'productType']) {
+            if (payload[field] !== undefined) {
+                product[field] = payload[field];
+            }
+        }
+
+        // Subproducts left out of the payload are kept as they are
+        product.subproducts = (cached.subproducts || []).map(subproduct => ({ ...subproduct }));
+        for (const sub of payload.subproducts || []) {
+            let subproduct = product.subproducts.find(item => String(item.sourceProductId) === String(sub.sourceProductId));
+            if (!subproduct) {
+                subproduct = { sourceProductId: String(sub.sourceProductId) };
+                product.subproducts.push(subproduct);
+            }
+            for (const field of SUBPRODUCT_FIELDS) {
+                if (sub[field] !== undefined) {
+                    subproduct[field] = sub[field];
+                }
+            }
+        }
+
+        this.set(product);
+    }
+
+    /**
+     * Forget a product so the next lookup downloads it again
+     * @param {string} sourceProductId - Product sourceProductId
+     */
+    delete(sourceProductId) {
+        this.products.delete(String(sourceProductId));
+        this.index = null;
+    }
+
+    /**
+     * Forget a product by its friendly ID
+     * @param {number|string} friendlyId - Product friendly ID
+     */
+    deleteByFriendlyId(friendlyId) {
+        for (const product of this.products.values()) {
+            if (String(product.friendlyId) === String(friendlyId)) {
+                this.products.delete(String(product.sourceProductId));
+                this.index = null;
+            }
+        }
+    }
+
+    /**
+     * Forget every product
+     */
+    clear() {
+        this.products.clear();
+        this.loadedAt = null;
+        this.index = null;
+    }
+}
+
+module.exports = ProductCache;
+module.exports.DEFAULT_TTL = DEFAULT_TTL;
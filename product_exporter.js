@@ -0,0 +1,127 @@
+/**
+ * Product Exporter - Back up the store catalog to CSV, JSON Lines or a JSON snapshot
+ *
+ * CSV and JSONL rows use the addProduct() payload columns, and JSON snapshots hold
+ * the products as the store returned them, so an export can be imported again
+ * with importProducts() to restore a catalog. friendlyId, ids and dates are kept
+ * for reference; the store assigns new ones on import.
+ */
+
+const fs = require('fs');
+const { stringifyCsv } = require('./csv');
+const { toProductPayload } = require('./product_payload');
+const { DEFAULT_COLUMNS, detectFormat } = require('./product_importer');
+
+// Columns that only describe the store copy; they are ignored on import
+const EXTRA_COLUMNS = ['friendlyId', 'id', 'createdAt', 'updatedAt', 'subproduct.id'];
+
+const EXPORT_COLUMNS = [...Object.values(DEFAULT_COLUMNS), ...EXTRA_COLUMNS];
+
+/**
+ * Flatten a product into one row per subproduct
+ *
+ * @param {Object} product - Product object from getProducts()
+ * @param {Array<string>} columns - Columns to keep
+ * @returns {Array<Object>} Rows keyed by column name
+ */
+function toRows(product, columns) {
+    const payload = toProductPayload(product);
+    const base = {
+        ...payload,
+        friendlyId: product.friendlyId,
+        id: product.id,
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt
+    };
+    delete base.subproducts;
+
+    // Products without subproducts still get a row so nothing is lost
+    const subproducts = payload.subproducts.length > 0 ? payload.subproducts : [{}];
+
+    return subproducts.map((subproduct, index) => {
+        const values = { ...base };
+        for (const [field, value] of Object.entries(subproduct)) {
+            values[`subproduct.${field}`] = value;
+        }
+        const source = (product.subproducts || [])[index];
+        values['subproduct.id'] = source ? source.id : undefined;
+
+        const row = {};
+        for (const column of columns) {
+            row[column] = values[column];
+        }
+        return row;
+    });
+}
+
+/**
+ * Export the store catalog to a file
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} filePath - Output file
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format] - 'csv', 'jsonl' (one row per subproduct) or 'json' (snapshot of
+ *   the products as getProducts() returned them) (default: detected from the file extension)
+ * @param {Array<string>} [options.columns] - CSV/JSONL columns, in order (default: EXPORT_COLUMNS)
+ * @param {string} [options.productType='auto,manual,inventory'] - Product types to export
+ * @param {boolean} [options.includeInactive=true] - Also export inactive products
+ * @param {number} [options.pageSize=50] - Items per page when fetching the catalog
+ * @param {string} [options.delimiter=','] - CSV field delimiter
+ * @returns {Promise<Object>} { success, filePath, format, products, rows }, or the failed getProducts() result
+ */
+async function exportCatalog(api, filePath, options = {}) {
+    const {
+        format = detectFormat(filePath),
+        columns = EXPORT_COLUMNS,
+        productType = 'auto,manual,inventory',
+        includeInactive = true,
+        pageSize = 50,
+        delimiter = ','
+    } = options;
+
+    if (!['csv', 'jsonl', 'json'].includes(format)) {
+        throw new Error('format must be one of: csv, jsonl, json');
+    }
+
+    const products = [];
+    for (const isActive of includeInactive ? [true, false] : [true]) {
+        const result = await api.getAllProducts({ productType, isActive, pageSize });
+        if (!result.success) {
+            return result;
+        }
+        products.push(...result.data.products);
+    }
+
+    let content;
+    let rowCount = products.length;
+
+    if (format === 'json') {
+        content = JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            total: products.length,
+            products: products
+        }, null, 2) + '\n';
+    } else {
+        const rows = products.flatMap(product => toRows(product, columns));
+        rowCount = rows.length;
+        content = format === 'csv'
+            ? stringifyCsv(rows, columns, { delimiter })
+            : rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+
+    await fs.promises.writeFile(filePath, content);
+
+    return {
+        success: true,
+        filePath: filePath,
+        format: format,
+        products: products.length,
+        rows: rowCount
+    };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    toRows,
+    exportCatalog
+};
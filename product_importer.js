@@ -0,0 +1,439 @@
+/**
+ * Product Importer - Bulk import products from CSV and JSON Lines files
+ *
+ * Each row describes one subproduct. Rows sharing a product sourceProductId
+ * are combined into one product with its subproducts array, validated and
+ * sent with addProduct() with limited concurrency. JSON snapshots written by
+ * the exporter or a safe delete hold whole products and are imported as they
+ * are. Products exported from the store, recognised by their friendlyId, are
+ * sent without the addProduct() defaults so an existing product keeps its warranty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, stringifyCsv } = require('./csv');
+const { mapWithConcurrency } = require('./concurrency');
+const { validateProduct } = require('./product_validator');
+const { toProductPayload } = require('./product_payload');
+const { ProductApiError, ValidationError } = require('./errors');
+
+// Target field => column name. Subproduct fields are prefixed with 'subproduct.'
+const DEFAULT_COLUMNS = {
+    'categoryName': 'categoryName',
+    'subcategoryName': 'subcategoryName',
+    'sourceProductId': 'sourceProductId',
+    'name': 'name',
+    'sourceUrl': 'sourceUrl',
+    'provider': 'provider',
+    'description': 'description',
+    'descriptionText': 'descriptionText',
+    'image': 'image',
+    'warrantyDays': 'warrantyDays',
+    'active': 'active',
+    'productType': 'productType',
+    'subproduct.sourceProductId': 'subproduct.sourceProductId',
+    'subproduct.sourceName': 'subproduct.sourceName',
+    'subproduct.price': 'subproduct.price',
+    'subproduct.stock': 'subproduct.stock',
+    'subproduct.minQuantity': 'subproduct.minQuantity',
+    'subproduct.shortDescription': 'subproduct.shortDescription',
+    'subproduct.name': 'subproduct.name'
+};
+
+const NUMBER_FIELDS = ['warrantyDays', 'price', 'stock', 'minQuantity'];
+
+// Product fields every row of a product must agree on
+const GROUP_FIELDS = ['categoryName', 'subcategoryName'];
+
+// Column added to the failed rows file, ignored when the file is imported again
+const ERROR_COLUMN = 'importError';
+
+const FORMATS = ['csv', 'jsonl', 'json'];
+
+/**
+ * Detect the file format from its extension
+ * @param {string} filePath - File path
+ * @returns {string} 'csv', 'jsonl' or 'json'
+ */
+function detectFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+        return 'csv';
+    }
+    if (extension === '.jsonl' || extension === '.ndjson') {
+        return 'jsonl';
+    }
+    if (extension === '.json') {
+        return 'json';
+    }
+    throw new Error(`Cannot detect format of ${filePath}, pass options.format ('csv', 'jsonl' or 'json')`);
+}
+
+/**
+ * Parse JSON Lines text into rows
+ * @param {string} text - JSONL text
+ * @returns {Array<Object>} Rows as { line, values } or { line, parseError }
+ */
+function parseJsonLines(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (content.trim() === '') {
+            return;
+        }
+        try {
+            const values = JSON.parse(content);
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                rows.push({ line: index + 1, raw: content, parseError: 'Line must be a JSON object' });
+            } else {
+                rows.push({ line: index + 1, values });
+            }
+        } catch (error) {
+            rows.push({ line: index + 1, raw: content, parseError: `Invalid JSON: ${error.message}` });
+        }
+    });
+    return rows;
+}
+
+/**
+ * Parse a JSON snapshot (an array of products, or { products }) into rows
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Rows as { line, values } where line is the 1-based product number
+ */
+function parseJsonSnapshot(text) {
+    const data = JSON.parse(text);
+    const products = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(products)) {
+        throw new Error('JSON file must contain an array of products or { products: [...] }');
+    }
+    return products.map((values, index) => (values && typeof values === 'object' && !Array.isArray(values)
+        ? { line: index + 1, values }
+        : { line: index + 1, raw: JSON.stringify(values), parseError: 'Product must be a JSON object' }));
+}
+
+/**
+ * Convert spreadsheet text to the type addProduct() expects
+ * @param {string} field - Target field name (without the 'subproduct.' prefix)
+ * @param {*} value - Cell value
+ * @returns {*} Converted value, unchanged if it cannot be converted (validation reports it)
+ */
+function coerceValue(field, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const text = value.trim();
+    if (NUMBER_FIELDS.includes(field)) {
+        const number = Number(text);
+        return text !== '' && !Number.isNaN(number) ? number : value;
+    }
+    if (field === 'active') {
+        if (['true', '1', 'yes'].includes(text.toLowerCase())) {
+            return true;
+        }
+        if (['false', '0', 'no'].includes(text.toLowerCase())) {
+            return false;
+        }
+    }
+    return text;
+}
+
+/**
+ * Map one row to product fields and subproduct fields
+ * @param {Object} values - Row values keyed by column
+ * @param {Object} columns - Target field => column name or function (values) => value
+ * @returns {Object} { product, subproduct }
+ */
+function mapRow(values, columns) {
+    const product = {};
+    const subproduct = {};
+
+    for (const [target, source] of Object.entries(columns)) {
+        const raw = typeof source === 'function' ? source(values) : values[source];
+        if (raw === undefined || raw === null || raw === '') {
+            continue;
+        }
+        if (target.startsWith('subproduct.')) {
+            const field = target.substring('subproduct.'.length);
+            subproduct[field] = coerceValue(field, raw);
+        } else {
+            product[target] = coerceValue(target, raw);
+        }
+    }
+
+    return { product, subproduct };
+}
+
+/**
+ * Check whether a row was exported from the store rather than written by hand
+ * @param {Object} values - Row values
+ * @returns {boolean} True if the row has a friendlyId
+ */
+function isStoreRow(values) {
+    return values.friendlyId !== undefined && values.friendlyId !== null && values.friendlyId !== '';
+}
+
+/**
+ * Combine rows into products, grouping by product sourceProductId
+ * A JSONL row that already has a subproducts array is taken as a whole product;
+ * one from getProducts() (e.g. in an exportCatalog() snapshot) is turned into a payload first.
+ *
+ * @param {Array<Object>} rows - Parsed rows { line, values }
+ * @param {Object} columns - Column mapping
+ * @param {Object} defaults - Product field defaults
+ * @returns {Object} { groups, rejected } where each group is { product, fromStore, rows: [{ row, subproductIndex }], errors }
+ *   and errors lists rows that disagree with the earlier rows of the product, as validateProduct() errors
+ */
+function groupRows(rows, columns, defaults) {
+    const groups = new Map();
+    const rejected = [];
+
+    for (const row of rows) {
+        if (row.parseError) {
+            rejected.push({ row, message: row.parseError });
+            continue;
+        }
+
+        if (Array.isArray(row.values.subproducts)) {
+            const fromStore = isStoreRow(row.values);
+            const product = { ...defaults, ...(fromStore ? toProductPayload(row.values) : row.values) };
+            delete product[ERROR_COLUMN];
+            if (!product.sourceProductId) {
+                rejected.push({ row, message: 'sourceProductId is required' });
+                continue;
+            }
+            const key = String(product.sourceProductId);
+            if (groups.has(key)) {
+                rejected.push({ row, message: `Duplicate product sourceProductId: ${key}` });
+                continue;
+            }
+            groups.set(key, { product, fromStore, rows: [{ row, subproductIndex: null }], errors: [] });
+            continue;
+        }
+
+        const mapped = mapRow(row.values, columns);
+        const fields = { ...defaults, ...mapped.product };
+        if (!fields.sourceProductId) {
+            rejected.push({ row, message: 'sourceProductId is required' });
+            continue;
+        }
+
+        const key = String(fields.sourceProductId);
+        if (!groups.has(key)) {
+            groups.set(key, { product: { ...fields, subproducts: [] }, fromStore: isStoreRow(row.values), rows: [], errors: [] });
+        }
+        const group = groups.get(key);
+        const subproductIndex = group.product.subproducts.length;
+
+        // A row in another category is most likely a typo, or a sourceProductId used twice
+        for (const field of GROUP_FIELDS) {
+            const value = mapped.product[field];
+            if (value !== undefined && group.product[field] !== undefined && group.product[field] !== defaults[field]
+                && value !== group.product[field]) {
+                group.errors.push({
+                    path: `subproducts[${subproductIndex}]`,
+                    message: `${field} ${value} does not match ${group.product[field]} of the other rows of product ${key}`
+                });
+            }
+        }
+
+        // Product fields are taken from the first row that has them
+        for (const [field, value] of Object.entries(mapped.product)) {
+            if (group.product[field] === undefined || group.product[field] === defaults[field]) {
+                group.product[field] = value;
+            }
+        }
+
+        group.rows.push({ row, subproductIndex });
+        group.product.subproducts.push(mapped.subproduct);
+    }
+
+    return { groups: [...groups.values()], rejected };
+}
+
+/**
+ * Write failed rows in the input format, with the reason in an importError column
+ * @param {string} filePath - Output file path
+ * @param {string} format - 'csv' or 'jsonl'
+ * @param {Array<Object>} failed - Failed rows { row, message }
+ * @param {Object} options - { delimiter }
+ */
+async function writeFailedRows(filePath, format, failed, options) {
+    const sorted = [...failed].sort((a, b) => a.row.line - b.row.line);
+
+    if (format === 'csv') {
+        const columns = [];
+        for (const { row } of sorted) {
+            for (const column of Object.keys(row.values || {})) {
+                if (column !== ERROR_COLUMN && !columns.includes(column)) {
+                    columns.push(column);
+                }
+            }
+        }
+        columns.push(ERROR_COLUMN);
+        const rows = sorted.map(({ row, message }) => ({ ...row.values, [ERROR_COLUMN]: message }));
+        await fs.promises.writeFile(filePath, stringifyCsv(rows, columns, options));
+        return;
+    }
+
+    if (format === 'json') {
+        const products = sorted
+            .filter(({ row }) => row.values)
+            .map(({ row, message }) => ({ ...row.values, [ERROR_COLUMN]: message }));
+        await fs.promises.writeFile(filePath, JSON.stringify({ products }, null, 2) + '\n');
+        return;
+    }
+
+    const lines = sorted.map(({ row, message }) => (row.values
+        ? JSON.stringify({ ...row.values, [ERROR_COLUMN]: message })
+        : row.raw));
+    await fs.promises.writeFile(filePath, lines.join('\n') + '\n');
+}
+
+/**
+ * Import products from a CSV or JSON Lines file, or a JSON snapshot written by exportCatalog()
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} filePath - CSV or JSONL file with one subproduct per row, or a JSON snapshot
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format] - 'csv', 'jsonl' or 'json' (default: detected from the file extension)
+ * @param {Object} [options.columns] - Column mapping overrides: target field => column name,
+ *   or a function (row) => value. Subproduct fields are prefixed with 'subproduct.'
+ * @param {Object} [options.defaults] - Product field defaults, e.g. { provider: 'MySupplier' }
+ * @param {string} [options.delimiter=','] - CSV field delimiter
+ * @param {number} [options.concurrency=4] - Maximum addProduct() requests in flight
+ * @param {boolean} [options.strict=false] - Reject unknown product fields (see validateProduct())
+ * @param {boolean} [options.checkCategories=false] - Require categories from the reference list
+ * @param {string} [options.failedRowsPath] - Write failed rows here, in the input format, for fixing and re-importing
+ * @returns {Promise<Object>} { success, rows, products, summary }
+ * @throws {Error} If the file cannot be read, or addProduct() throws anything but a ProductApiError (a bug, not a bad row)
+ */
+async function importProducts(api, filePath, options = {}) {
+    const {
+        format = detectFormat(filePath),
+        columns = {},
+        defaults = {},
+        delimiter = ',',
+        concurrency = 4,
+        strict = false,
+        checkCategories = false,
+        failedRowsPath
+    } = options;
+
+    if (!FORMATS.includes(format)) {
+        throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(text, { delimiter });
+    } else if (format === 'jsonl') {
+        rows = parseJsonLines(text);
+    } else {
+        rows = parseJsonSnapshot(text);
+    }
+    const { groups, rejected } = groupRows(rows, { ...DEFAULT_COLUMNS, ...columns }, defaults);
+
+    const report = [];
+    const failed = [];
+    const addRow = (row, entry) => {
+        report.push({ line: row.line, ...entry });
+        if (entry.status !== 'success') {
+            failed.push({ row, message: entry.message });
+        }
+    };
+
+    for (const { row, message } of rejected) {
+        addRow(row, { sourceProductId: null, subproductId: null, status: 'validation_error', message, errors: [] });
+    }
+
+    const products = await mapWithConcurrency(groups, concurrency, async group => {
+        const { product } = group;
+        const checked = validateProduct(product, { strict, checkCategories });
+        let validation = { valid: checked.valid && group.errors.length === 0, errors: [...group.errors, ...checked.errors] };
+
+        let result = null;
+        if (validation.valid) {
+            try {
+                // Exported products already hold store prices and settings, so they are sent as they are
+                const requestOptions = group.fromStore ? { applyDefaults: false, priceRules: false } : {};
+                result = await api.addProduct(product, requestOptions);
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    // e.g. an unknown category, only found out by addProduct()
+                    validation = { valid: false, errors: error.errors };
+                } else if (error instanceof ProductApiError) {
+                    // Thrown instead of returned with throwOnError
+                    result = { success: false, status: error.status || null, message: error.message };
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        for (const { row, subproductIndex } of group.rows) {
+            const subproduct = subproductIndex !== null ? product.subproducts[subproductIndex] : null;
+            const entry = {
+                sourceProductId: product.sourceProductId,
+                subproductId: subproduct ? subproduct.sourceProductId || null : null
+            };
+
+            if (!validation.valid) {
+                // Keep product-level errors and the errors of this row's subproduct
+                const prefix = `subproducts[${subproductIndex}]`;
+                const errors = validation.errors.filter(error => !error.path.startsWith('subproducts[')
+                    || subproductIndex === null
+                    || error.path.startsWith(prefix + '.')
+                    || error.path === prefix);
+                addRow(row, {
+                    ...entry,
+                    status: 'validation_error',
+                    message: errors.length > 0
+                        ? errors.map(error => `${error.path}: ${error.message}`).join('; ')
+                        : 'Another row of this product failed validation',
+                    errors
+                });
+            } else if (!result.success) {
+                addRow(row, { ...entry, status: 'api_error', message: result.message, errors: [] });
+            } else {
+                addRow(row, { ...entry, status: 'success', message: null, errors: [] });
+            }
+        }
+
+        return {
+            sourceProductId: product.sourceProductId,
+            success: validation.valid && result.success,
+            status: result ? result.status : null,
+            friendlyId: result && result.success && result.data ? result.data.friendlyId : undefined,
+            message: validation.valid ? result.message : 'Validation failed'
+        };
+    });
+
+    report.sort((a, b) => a.line - b.line);
+
+    if (failedRowsPath && failed.length > 0) {
+        await writeFailedRows(failedRowsPath, format, failed, { delimiter });
+    }
+
+    const summary = {
+        rows: report.length,
+        products: groups.length,
+        succeeded: report.filter(entry => entry.status === 'success').length,
+        validationFailed: report.filter(entry => entry.status === 'validation_error').length,
+        apiFailed: report.filter(entry => entry.status === 'api_error').length
+    };
+
+    return {
+        success: failed.length === 0,
+        rows: report,
+        products: products,
+        summary: summary,
+        failedRowsPath: failedRowsPath && failed.length > 0 ? failedRowsPath : null
+    };
+}
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    ERROR_COLUMN,
+    detectFormat,
+    importProducts
+};
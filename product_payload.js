@@ -0,0 +1,159 @@
+/**
+ * Product Payload Helpers
+ * Convert products returned by getProducts() into the addProduct() payload
+ * shape and compare payloads field by field
+ */
+
+// Product fields that can be changed with addProduct() on an existing product.
+// categoryName and subcategoryName are only used when the product is created.
+const PRODUCT_FIELDS = [
+    'name',
+    'sourceUrl',
+    'provider',
+    'description',
+    'descriptionText',
+    'image',
+    'warrantyDays',
+    'active',
+    'productType'
+];
+
+const SUBPRODUCT_FIELDS = [
+    'sourceName',
+    'name',
+    'price',
+    'stock',
+    'minQuantity',
+    'shortDescription'
+];
+
+/**
+ * Check whether a value was actually provided
+ * @param {*} value - Value to check
+ * @returns {boolean} False for undefined, null and empty strings
+ */
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Convert a product object returned by getProducts() into an addProduct() payload
+ *
+ * @param {Object} product - Product object from getProducts()
+ * @returns {Object} Payload accepted by addProduct()
+ *
+ * @example
+ * const result = await productApi.getProducts();
+ * const payload = toProductPayload(result.data.products[0]);
+ * await productApi.addProduct({ ...payload, active: false });
+ */
+function toProductPayload(product) {
+    const payload = {
+        categoryName: product.category ? product.category.name : product.categoryName,
+        subcategoryName: product.subcategory ? product.subcategory.name : product.subcategoryName,
+        sourceProductId: product.sourceProductId,
+        name: product.name,
+        subproducts: (product.subproducts || []).map(subproduct => {
+            const sub = {
+                sourceProductId: subproduct.sourceProductId,
+                sourceName: subproduct.sourceName,
+                price: subproduct.price,
+                stock: subproduct.stock
+            };
+            for (const field of ['name', 'minQuantity', 'shortDescription']) {
+                if (isSet(subproduct[field])) {
+                    sub[field] = subproduct[field];
+                }
+            }
+            return sub;
+        })
+    };
+
+    for (const field of ['sourceUrl', 'provider', 'description', 'descriptionText', 'image', 'warrantyDays', 'productType']) {
+        if (isSet(product[field])) {
+            payload[field] = product[field];
+        }
+    }
+
+    // getProducts() reports isActive, addProduct() expects active
+    const active = product.isActive !== undefined ? product.isActive : product.active;
+    if (active !== undefined) {
+        payload.active = active;
+    }
+
+    return payload;
+}
+
+/**
+ * Compare a desired addProduct() payload against the current product
+ * By default only fields set on both sides are compared, so values the store does
+ * not report (e.g. warrantyDays) never show up as changes.
+ *
+ * @param {Object} desired - Desired addProduct() payload
+ * @param {Object} current - Current product, as a payload or a getProducts() object
+ * @param {Object} [options] - Diff options
+ * @param {boolean} [options.includeUnset=false] - Also report fields set on one side only, with
+ *   undefined for the missing value, and subproducts missing from desired; use it when current is
+ *   a full payload, e.g. the one last sent
+ * @returns {Array<Object>} Changes as { path, from, to }, empty when nothing changed
+ *
+ * @example
+ * diffProducts({ ...payload, name: 'New name' }, product);
+ * // [{ path: 'name', from: 'Old name', to: 'New name' }]
+ */
+function diffProducts(desired, current, options = {}) {
+    const { includeUnset = false } = options;
+    // A payload without active is sent as active, like addProduct() does
+    const currentPayload = { active: true, ...toProductPayload(current) };
+    const desiredPayload = { active: true, ...desired };
+    const changes = [];
+    const differs = (from, to) => (isSet(from) && isSet(to)
+        ? from !== to
+        : includeUnset && isSet(from) !== isSet(to));
+
+    for (const field of PRODUCT_FIELDS) {
+        const from = currentPayload[field];
+        const to = desiredPayload[field];
+        if (differs(from, to)) {
+            changes.push({ path: field, from: isSet(from) ? from : undefined, to: isSet(to) ? to : undefined });
+        }
+    }
+
+    const currentSubproducts = new Map(
+        (currentPayload.subproducts || []).map(subproduct => [String(subproduct.sourceProductId), subproduct])
+    );
+
+    for (const subproduct of desiredPayload.subproducts || []) {
+        const path = `subproducts[${subproduct.sourceProductId}]`;
+        const existing = currentSubproducts.get(String(subproduct.sourceProductId));
+
+        if (!existing) {
+            changes.push({ path, from: undefined, to: subproduct });
+            continue;
+        }
+
+        for (const field of SUBPRODUCT_FIELDS) {
+            const from = existing[field];
+            const to = subproduct[field];
+            if (differs(from, to)) {
+                changes.push({ path: `${path}.${field}`, from: isSet(from) ? from : undefined, to: isSet(to) ? to : undefined });
+            }
+        }
+        currentSubproducts.delete(String(subproduct.sourceProductId));
+    }
+
+    if (includeUnset) {
+        for (const [id, subproduct] of currentSubproducts) {
+            changes.push({ path: `subproducts[${id}]`, from: subproduct, to: undefined });
+        }
+    }
+
+    return changes;
+}
+
+module.exports = {
+    PRODUCT_FIELDS,
+    SUBPRODUCT_FIELDS,
+    toProductPayload,
+    diffProducts
+};
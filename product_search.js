@@ -0,0 +1,401 @@
+/**
+ * Product Search - Filter, sort and look up products in memory
+ *
+ * getProducts() can only filter by productType and isActive, so searches run
+ * over a downloaded catalog or a local snapshot. Products can be getProducts()
+ * objects (as in an exportCatalog() JSON snapshot) or addProduct() payloads.
+ * Payloads carry no friendlyId or dates, so filtering or sorting a list of
+ * payloads by those is rejected rather than matching nothing.
+ */
+
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+const { normalizeName } = require('./categories');
+
+// Sort keys and how to read them from a product
+const SORT_KEYS = {
+    name: product => product.name,
+    provider: product => product.provider,
+    categoryName: product => categoryOf(product),
+    subcategoryName: product => subcategoryOf(product),
+    friendlyId: product => product.friendlyId,
+    price: product => minPrice(product),
+    stock: product => totalStock(product),
+    createdAt: product => toTime(product.createdAt),
+    updatedAt: product => toTime(product.updatedAt)
+};
+
+// Store-assigned fields and the query options that read them
+const STORE_FIELDS = {
+    friendlyId: ['friendlyId'],
+    updatedAt: ['updatedAfter', 'updatedBefore', 'notUpdatedFor', 'updatedWithin'],
+    createdAt: []
+};
+
+const QUERY_KEYS = [
+    'name', 'provider', 'categoryName', 'subcategoryName', 'productType', 'isActive',
+    'sourceProductId', 'friendlyId', 'minPrice', 'maxPrice', 'zeroStock',
+    'updatedAfter', 'updatedBefore', 'notUpdatedFor', 'updatedWithin',
+    'sort', 'limit', 'offset'
+];
+
+/**
+ * Copy a product, so callers cannot change the indexed one
+ * @param {Object} product - Product object or addProduct() payload
+ * @returns {Object} Deep copy
+ */
+function copyProduct(product) {
+    return JSON.parse(JSON.stringify(product));
+}
+
+/**
+ * Get the category name of a product or payload
+ * @param {Object} product - Product object or addProduct() payload
+ * @returns {string|undefined}
+ */
+function categoryOf(product) {
+    return product.category ? product.category.name : product.categoryName;
+}
+
+/**
+ * Get the subcategory name of a product or payload
+ * @param {Object} product - Product object or addProduct() payload
+ * @returns {string|undefined}
+ */
+function subcategoryOf(product) {
+    return product.subcategory ? product.subcategory.name : product.subcategoryName;
+}
+
+/**
+ * Get the lowest subproduct price
+ * @param {Object} product - Product object or addProduct() payload
+ * @returns {number|undefined} undefined for a product without subproducts
+ */
+function minPrice(product) {
+    const prices = (product.subproducts || []).map(subproduct => Number(subproduct.price));
+    return prices.length > 0 ? Math.min(...prices) : undefined;
+}
+
+/**
+ * Get the stock of every subproduct added up
+ * @param {Object} product - Product object or addProduct() payload
+ * @returns {number}
+ */
+function totalStock(product) {
+    return (product.subproducts || []).reduce((total, subproduct) => total + (Number(subproduct.stock) || 0), 0);
+}
+
+/**
+ * Convert a date option or field to a timestamp
+ * @param {Date|string|number} [value] - Date, ISO string or timestamp in ms
+ * @returns {number|undefined} Timestamp in ms, undefined if missing or invalid
+ */
+function toTime(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Turn a string or array option into a matcher of normalized values
+ * @param {string|Array<string>} value - Accepted value or values
+ * @returns {Function} (candidate) => boolean, ignoring case and punctuation
+ */
+function oneOf(value) {
+    const accepted = new Set((Array.isArray(value) ? value : [value]).map(item => normalizeName(item)));
+    return candidate => candidate !== undefined && candidate !== null && accepted.has(normalizeName(candidate));
+}
+
+/**
+ * Parse the sort option
+ * @param {string|Array<string>} sort - Sort keys, '-' prefix for descending, e.g. ['-updatedAt', 'name']
+ * @returns {Array<Object>} { read, direction } per key
+ * @throws {ValidationError} If a sort key is unknown
+ */
+function parseSort(sort) {
+    return (Array.isArray(sort) ? sort : [sort]).map(key => {
+        const descending = String(key).startsWith('-');
+        const field = descending ? String(key).substring(1) : String(key);
+        if (!SORT_KEYS[field]) {
+            throw new ValidationError(`sort must use one of: ${Object.keys(SORT_KEYS).join(', ')}`, 'sort');
+        }
+        return { read: SORT_KEYS[field], direction: descending ? -1 : 1 };
+    });
+}
+
+/**
+ * Compare two sort values; missing values sort last in both directions
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number}
+ */
+function compareValues(a, b, direction) {
+    const aMissing = a === undefined || a === null;
+    const bMissing = b === undefined || b === null;
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    }
+    if (typeof a === 'string' || typeof b === 'string') {
+        return direction * String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+    }
+    return direction * (a - b);
+}
+
+/**
+ * Build the filter functions for a query
+ * @param {Object} query - findProducts() query
+ * @param {number} now - Current time in ms, for the age filters
+ * @returns {Array<Function>} (product) => boolean
+ * @throws {ValidationError} If an option is invalid
+ */
+function buildFilters(query, now) {
+    const filters = [];
+
+    for (const key of Object.keys(query)) {
+        if (!QUERY_KEYS.includes(key)) {
+            throw new ValidationError(`Unknown query option: ${key}`, key);
+        }
+    }
+
+    if (query.name !== undefined) {
+        if (query.name instanceof RegExp) {
+            filters.push(product => query.name.test(product.name || ''));
+        } else {
+            const text = String(query.name).toLowerCase();
+            filters.push(product => String(product.name || '').toLowerCase().includes(text));
+        }
+    }
+    if (query.provider !== undefined) {
+        const matches = oneOf(query.provider);
+        filters.push(product => matches(product.provider));
+    }
+    if (query.categoryName !== undefined) {
+        const matches = oneOf(query.categoryName);
+        filters.push(product => matches(categoryOf(product)));
+    }
+    if (query.subcategoryName !== undefined) {
+        const matches = oneOf(query.subcategoryName);
+        filters.push(product => matches(subcategoryOf(product)));
+    }
+    if (query.productType !== undefined) {
+        // Payloads may leave productType out, which means auto
+        const matches = oneOf(Array.isArray(query.productType) ? query.productType : String(query.productType).split(','));
+        filters.push(product => matches(product.productType || 'auto'));
+    }
+    if (query.isActive !== undefined) {
+        if (typeof query.isActive !== 'boolean') {
+            throw new ValidationError('isActive must be a boolean', 'isActive');
+        }
+        filters.push(product => (product.isActive !== undefined ? product.isActive : product.active !== false) === query.isActive);
+    }
+    if (query.sourceProductId !== undefined) {
+        const ids = new Set((Array.isArray(query.sourceProductId) ? query.sourceProductId : [query.sourceProductId]).map(String));
+        filters.push(product => ids.has(String(product.sourceProductId)));
+    }
+    if (query.friendlyId !== undefined) {
+        const ids = new Set((Array.isArray(query.friendlyId) ? query.friendlyId : [query.friendlyId]).map(String));
+        filters.push(product => product.friendlyId !== undefined && ids.has(String(product.friendlyId)));
+    }
+
+    for (const key of ['minPrice', 'maxPrice']) {
+        if (query[key] !== undefined && (typeof query[key] !== 'number' || Number.isNaN(query[key]))) {
+            throw new ValidationError(`${key} must be a number`, key);
+        }
+    }
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        // A product matches when any of its subproducts is in the range
+        const { minPrice: min = -Infinity, maxPrice: max = Infinity } = query;
+        filters.push(product => (product.subproducts || []).some(subproduct => subproduct.price >= min && subproduct.price <= max));
+    }
+    if (query.zeroStock !== undefined) {
+        if (typeof query.zeroStock !== 'boolean') {
+            throw new ValidationError('zeroStock must be a boolean', 'zeroStock');
+        }
+        filters.push(product => (totalStock(product) === 0) === query.zeroStock);
+    }
+
+    const updatedRange = {
+        updatedAfter: toTime(query.updatedAfter),
+        updatedBefore: toTime(query.updatedBefore)
+    };
+    for (const key of ['notUpdatedFor', 'updatedWithin']) {
+        if (query[key] !== undefined && (typeof query[key] !== 'number' || query[key] < 0)) {
+            throw new ValidationError(`${key} must be a non-negative number of milliseconds`, key);
+        }
+    }
+    for (const key of ['updatedAfter', 'updatedBefore']) {
+        if (query[key] !== undefined && updatedRange[key] === undefined) {
+            throw new ValidationError(`${key} must be a Date, an ISO date string or a timestamp`, key);
+        }
+    }
+    const after = Math.max(
+        updatedRange.updatedAfter !== undefined ? updatedRange.updatedAfter : -Infinity,
+        query.updatedWithin !== undefined ? now - query.updatedWithin : -Infinity
+    );
+    const before = Math.min(
+        updatedRange.updatedBefore !== undefined ? updatedRange.updatedBefore : Infinity,
+        query.notUpdatedFor !== undefined ? now - query.notUpdatedFor : Infinity
+    );
+    if (after !== -Infinity || before !== Infinity) {
+        filters.push(product => {
+            const updatedAt = toTime(product.updatedAt);
+            return updatedAt !== undefined && updatedAt >= after && updatedAt <= before;
+        });
+    }
+
+    return filters;
+}
+
+/**
+ * In-memory index of products with lookups by sourceProductId and friendlyId
+ */
+class ProductIndex {
+    /**
+     * @param {Array<Object>} products - getProducts() objects or addProduct() payloads
+     */
+    constructor(products) {
+        if (!Array.isArray(products)) {
+            throw new ValidationError('products must be an array', 'products');
+        }
+        this.products = products;
+        this.bySourceProductId = new Map();
+        this.byFriendlyId = new Map();
+
+        for (const product of products) {
+            this.bySourceProductId.set(String(product.sourceProductId), product);
+            if (product.friendlyId !== undefined && product.friendlyId !== null) {
+                this.byFriendlyId.set(String(product.friendlyId), product);
+            }
+        }
+    }
+
+    /**
+     * Find a product by sourceProductId
+     * @param {string} sourceProductId - Product sourceProductId
+     * @returns {Object|null} A copy of the product, or null
+     */
+    getBySourceProductId(sourceProductId) {
+        const product = this.bySourceProductId.get(String(sourceProductId));
+        return product ? copyProduct(product) : null;
+    }
+
+    /**
+     * Find a product by friendly ID
+     * @param {number|string} friendlyId - Product friendly ID
+     * @returns {Object|null} A copy of the product, or null
+     */
+    getByFriendlyId(friendlyId) {
+        const product = this.byFriendlyId.get(String(friendlyId));
+        return product ? copyProduct(product) : null;
+    }
+
+    /**
+     * Reject filters and sort keys on store-assigned fields that no product has,
+     * e.g. friendlyId in a list of addProduct() payloads
+     * @param {Object} query - find() query
+     * @throws {ValidationError} If the query reads a field no product has
+     */
+    checkStoreFields(query) {
+        const sortFields = query.sort === undefined ? [] : (Array.isArray(query.sort) ? query.sort : [query.sort])
+            .map(key => String(key).replace(/^-/, ''));
+
+        for (const [field, keys] of Object.entries(STORE_FIELDS)) {
+            const key = keys.find(name => query[name] !== undefined) || (sortFields.includes(field) ? 'sort' : null);
+            if (!key || this.products.length === 0) {
+                continue;
+            }
+            if (!this.products.some(product => product[field] !== undefined && product[field] !== null)) {
+                throw new ValidationError(
+                    `${key} needs ${field}, which none of these products has; addProduct() payloads carry no store-assigned fields`,
+                    key
+                );
+            }
+        }
+    }
+
+    /**
+     * Filter and sort the products
+     *
+     * @param {Object} [query] - Filters, all optional and combined with AND
+     * @param {string|RegExp} [query.name] - Name contains this text (case-insensitive) or matches the RegExp
+     * @param {string|Array<string>} [query.provider] - Provider, or any of several
+     * @param {string|Array<string>} [query.categoryName] - Category name, or any of several
+     * @param {string|Array<string>} [query.subcategoryName] - Subcategory name, or any of several
+     * @param {string|Array<string>} [query.productType] - 'auto', 'manual', 'inventory', comma-separated or an array
+     * @param {boolean} [query.isActive] - Active or inactive products only
+     * @param {string|Array<string>} [query.sourceProductId] - sourceProductId, or any of several
+     * @param {number|string|Array} [query.friendlyId] - Friendly ID, or any of several
+     * @param {number} [query.minPrice] - Some subproduct costs at least this much
+     * @param {number} [query.maxPrice] - Some subproduct costs at most this much
+     *   (with minPrice: some subproduct is in the range)
+     * @param {boolean} [query.zeroStock] - true: no stock left in any subproduct, false: some stock left
+     * @param {Date|string|number} [query.updatedAfter] - updatedAt on or after this date
+     * @param {Date|string|number} [query.updatedBefore] - updatedAt on or before this date
+     * @param {number} [query.notUpdatedFor] - Not updated for at least this many ms
+     * @param {number} [query.updatedWithin] - Updated in the last this many ms
+     * @param {string|Array<string>} [query.sort] - Sort keys (name, provider, categoryName, subcategoryName,
+     *   friendlyId, price, stock, createdAt, updatedAt), '-' prefix for descending
+     * @param {number} [query.limit] - Maximum number of products returned
+     * @param {number} [query.offset=0] - Number of matching products skipped
+     * @returns {Object} { products, total } where products are copies and total counts every match before limit/offset
+     * @throws {ValidationError} If an option is unknown or invalid, or reads a store-assigned field no product has
+     */
+    find(query = {}) {
+        const { sort, limit, offset = 0 } = query;
+        const filters = buildFilters(query, Date.now());
+        this.checkStoreFields(query);
+
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+            throw new ValidationError('limit must be a non-negative integer', 'limit');
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new ValidationError('offset must be a non-negative integer', 'offset');
+        }
+
+        const matches = this.products.filter(product => filters.every(filter => filter(product)));
+        if (sort !== undefined) {
+            const keys = parseSort(sort);
+            matches.sort((a, b) => {
+                for (const { read, direction } of keys) {
+                    const order = compareValues(read(a), read(b), direction);
+                    if (order !== 0) {
+                        return order;
+                    }
+                }
+                return 0;
+            });
+        }
+
+        return {
+            products: matches.slice(offset, limit === undefined ? undefined : offset + limit).map(copyProduct),
+            total: matches.length
+        };
+    }
+}
+
+/**
+ * Load the products of a local snapshot
+ * @param {string|Object|Array<Object>} snapshot - exportCatalog() JSON file, { products } or an array of products
+ * @returns {Promise<Array<Object>>} Products
+ * @throws {Error} If the file cannot be read or holds no products
+ */
+async function loadSnapshot(snapshot) {
+    let content = snapshot;
+    if (typeof snapshot === 'string') {
+        content = JSON.parse(await fs.promises.readFile(snapshot, 'utf8'));
+    }
+    const products = Array.isArray(content) ? content : content && content.products;
+    if (!Array.isArray(products)) {
+        throw new Error('snapshot must be an array of products or { products: [...] }');
+    }
+    return products;
+}
+
+module.exports = {
+    SORT_KEYS,
+    ProductIndex,
+    loadSnapshot
+};
@@ -0,0 +1,315 @@
+/**
+ * Product Validator - Check addProduct() payloads against the documented constraints
+ *
+ * Collects every problem with its JSON path instead of stopping at the first one,
+ * so bad feed rows can be reported before anything is uploaded.
+ */
+
+// Category and subcategory reference list
+const CATEGORIES = {
+    'Accounts': [
+        'TikTok Accounts',
+        'Facebook Accounts',
+        'Twitter/X Accounts',
+        'Telegram Accounts',
+        'Instagram Accounts',
+        'Discord Accounts',
+        'Snapchat Accounts',
+        'Others'
+    ],
+    'Email': [
+        'Gmail',
+        'Outlook',
+        'Edu Mail',
+        'Hotmail',
+        'Ru',
+        'Others'
+    ],
+    'Proxy Services': [
+        'Residential Proxies',
+        'Mobile Proxies'
+    ]
+};
+
+const PRODUCT_TYPES = ['auto', 'manual', 'inventory'];
+
+// Maximum number of decimal places accepted for prices
+const PRICE_DECIMALS = 4;
+
+// Floating point noise allowed in prices, e.g. 0.1 + 0.2 is 0.30000000000000004
+const PRICE_TOLERANCE = 1e-9;
+
+// Decimal numbers as written in CSV cells and form fields, e.g. '25.99' or ' 10 '
+const NUMERIC_STRING = /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/;
+
+// Subproduct fields sent as numbers
+const NUMERIC_FIELDS = ['price', 'stock', 'minQuantity'];
+
+const PRODUCT_KEYS = [
+    'categoryName',
+    'subcategoryName',
+    'sourceProductId',
+    'name',
+    'subproducts',
+    'sourceUrl',
+    'provider',
+    'description',
+    'descriptionText',
+    'image',
+    'warrantyDays',
+    'active',
+    'productType'
+];
+
+const SUBPRODUCT_KEYS = [
+    'sourceProductId',
+    'sourceName',
+    'price',
+    'stock',
+    'minQuantity',
+    'shortDescription',
+    'name'
+];
+
+/**
+ * Check whether a value is missing
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check whether a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Turn a decimal numeric string into a number
+ * @param {*} value - Value to convert
+ * @returns {*} The number, or the value as it was if it is not a numeric string
+ */
+function toNumber(value) {
+    return typeof value === 'string' && NUMERIC_STRING.test(value) ? Number(value) : value;
+}
+
+/**
+ * Check whether a price has at most PRICE_DECIMALS decimal places, give or take PRICE_TOLERANCE
+ * @param {number} price - Price
+ * @returns {boolean}
+ */
+function hasValidDecimals(price) {
+    return Math.abs(Number(price.toFixed(PRICE_DECIMALS)) - price) < PRICE_TOLERANCE;
+}
+
+/**
+ * Copy a payload with numeric strings in subproduct price, stock and minQuantity turned into
+ * numbers, and prices that are off by floating point noise rounded to PRICE_DECIMALS
+ * Anything else is left for validateProduct() to report.
+ *
+ * @param {Object} productData - Product data, same shape as addProduct()
+ * @returns {Object} productData itself if nothing changed, otherwise a copy
+ */
+function normalizeNumbers(productData) {
+    if (!productData || !Array.isArray(productData.subproducts)) {
+        return productData;
+    }
+
+    let changed = false;
+    const subproducts = productData.subproducts.map(subproduct => {
+        if (!subproduct || typeof subproduct !== 'object') {
+            return subproduct;
+        }
+        const normalized = { ...subproduct };
+        for (const field of NUMERIC_FIELDS) {
+            if (field in normalized) {
+                normalized[field] = toNumber(normalized[field]);
+            }
+        }
+        const { price } = normalized;
+        if (typeof price === 'number' && Number.isFinite(price) && hasValidDecimals(price)) {
+            normalized.price = Number(price.toFixed(PRICE_DECIMALS));
+        }
+        if (NUMERIC_FIELDS.some(field => normalized[field] !== subproduct[field])) {
+            changed = true;
+            return normalized;
+        }
+        return subproduct;
+    });
+    return changed ? { ...productData, subproducts } : productData;
+}
+
+/**
+ * Validate a subproduct
+ * @param {Object} subproduct - Subproduct data
+ * @param {string} path - JSON path of the subproduct
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} errors - Errors are appended here
+ */
+function validateSubproduct(subproduct, path, options, errors) {
+    const add = (field, message) => errors.push({ path: `${path}.${field}`, message });
+
+    if (!subproduct || typeof subproduct !== 'object' || Array.isArray(subproduct)) {
+        errors.push({ path, message: 'subproduct must be an object' });
+        return;
+    }
+
+    if (isMissing(subproduct.sourceProductId)) {
+        add('sourceProductId', 'subproduct.sourceProductId is required');
+    }
+    if (isMissing(subproduct.sourceName)) {
+        add('sourceName', 'subproduct.sourceName is required');
+    }
+
+    // Numeric strings are accepted; addProduct() sends them as numbers
+    const price = toNumber(subproduct.price);
+    const stock = toNumber(subproduct.stock);
+    const minQuantity = toNumber(subproduct.minQuantity);
+
+    if (isMissing(price)) {
+        add('price', 'subproduct.price is required');
+    } else if (typeof price !== 'number' || !Number.isFinite(price)) {
+        add('price', 'subproduct.price must be a number');
+    } else if (price < 0) {
+        add('price', 'subproduct.price must not be negative');
+    } else if (!hasValidDecimals(price)) {
+        add('price', `subproduct.price must have at most ${PRICE_DECIMALS} decimal places`);
+    }
+
+    if (isMissing(stock)) {
+        add('stock', 'subproduct.stock is required');
+    } else if (!isNonNegativeInteger(stock)) {
+        add('stock', 'subproduct.stock must be a non-negative integer');
+    }
+
+    if (minQuantity !== undefined && !isNonNegativeInteger(minQuantity)) {
+        add('minQuantity', 'subproduct.minQuantity must be a non-negative integer');
+    }
+
+    for (const field of ['sourceName', 'shortDescription', 'name']) {
+        if (!isMissing(subproduct[field]) && typeof subproduct[field] !== 'string') {
+            add(field, `subproduct.${field} must be a string`);
+        }
+    }
+
+    if (options.strict) {
+        for (const key of Object.keys(subproduct)) {
+            if (!SUBPRODUCT_KEYS.includes(key)) {
+                add(key, `Unknown subproduct field: ${key}`);
+            }
+        }
+    }
+}
+
+/**
+ * Validate an addProduct() payload against every documented constraint
+ *
+ * @param {Object} productData - Product data, same shape as addProduct()
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.strict=false] - Reject fields that are not part of the payload
+ * @param {boolean} [options.checkCategories=true] - Require categoryName/subcategoryName from the reference list
+ * @returns {Object} { valid, errors } where each error is { path, message }
+ *
+ * @example
+ * const { valid, errors } = validateProduct(row, { strict: true });
+ * if (!valid) {
+ *   errors.forEach(error => console.error(`${error.path}: ${error.message}`));
+ * }
+ */
+function validateProduct(productData, options = {}) {
+    const { strict = false, checkCategories = true } = options;
+    const errors = [];
+    const add = (path, message) => errors.push({ path, message });
+
+    if (!productData || typeof productData !== 'object' || Array.isArray(productData)) {
+        add('', 'productData must be an object');
+        return { valid: false, errors };
+    }
+
+    const {
+        categoryName,
+        subcategoryName,
+        sourceProductId,
+        name,
+        subproducts,
+        warrantyDays,
+        active,
+        productType
+    } = productData;
+
+    if (isMissing(categoryName)) {
+        add('categoryName', 'categoryName is required');
+    } else if (checkCategories && !CATEGORIES[categoryName]) {
+        add('categoryName', `categoryName must be one of: ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+
+    if (isMissing(subcategoryName)) {
+        add('subcategoryName', 'subcategoryName is required');
+    } else if (checkCategories && CATEGORIES[categoryName] && !CATEGORIES[categoryName].includes(subcategoryName)) {
+        add('subcategoryName', `subcategoryName for ${categoryName} must be one of: ${CATEGORIES[categoryName].join(', ')}`);
+    }
+
+    if (isMissing(sourceProductId)) {
+        add('sourceProductId', 'sourceProductId is required');
+    }
+    if (isMissing(name)) {
+        add('name', 'name is required');
+    }
+
+    if (!subproducts || !Array.isArray(subproducts) || subproducts.length === 0) {
+        add('subproducts', 'subproducts is required and must contain at least one subproduct');
+    } else {
+        const seen = new Set();
+        subproducts.forEach((subproduct, index) => {
+            const path = `subproducts[${index}]`;
+            validateSubproduct(subproduct, path, { strict }, errors);
+
+            if (subproduct && !isMissing(subproduct.sourceProductId)) {
+                const id = String(subproduct.sourceProductId);
+                if (seen.has(id)) {
+                    add(`${path}.sourceProductId`, `Duplicate subproduct sourceProductId: ${id}`);
+                }
+                seen.add(id);
+            }
+        });
+    }
+
+    for (const field of ['name', 'sourceUrl', 'provider', 'description', 'descriptionText', 'image']) {
+        if (!isMissing(productData[field]) && typeof productData[field] !== 'string') {
+            add(field, `${field} must be a string`);
+        }
+    }
+
+    if (warrantyDays !== undefined && warrantyDays !== null && !isNonNegativeInteger(warrantyDays)) {
+        add('warrantyDays', 'warrantyDays must be a non-negative integer');
+    }
+    if (active !== undefined && active !== null && typeof active !== 'boolean') {
+        add('active', 'active must be a boolean');
+    }
+    if (!isMissing(productType) && !PRODUCT_TYPES.includes(productType)) {
+        add('productType', `productType must be one of: ${PRODUCT_TYPES.join(', ')}`);
+    }
+
+    if (strict) {
+        for (const key of Object.keys(productData)) {
+            if (!PRODUCT_KEYS.includes(key)) {
+                add(key, `Unknown product field: ${key}`);
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    CATEGORIES,
+    PRODUCT_TYPES,
+    PRICE_DECIMALS,
+    normalizeNumbers,
+    validateProduct
+};
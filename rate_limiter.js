@@ -0,0 +1,82 @@
+/**
+ * Rate Limiter - Space out requests and cap how many are in flight
+ *
+ * One limiter can be shared by several clients, e.g. every account of a
+ * ClientManager talking to the same host, so together they stay under the
+ * host's limits. Tasks start in the order they were scheduled.
+ */
+
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Limits, none by default
+     * @param {number} [options.requestsPerSecond] - Maximum request starts per second
+     * @param {number} [options.maxConcurrent] - Maximum requests in flight
+     */
+    constructor(options = {}) {
+        const { requestsPerSecond, maxConcurrent } = options;
+
+        if (requestsPerSecond !== undefined && (typeof requestsPerSecond !== 'number' || !(requestsPerSecond > 0))) {
+            throw new Error('requestsPerSecond must be a positive number');
+        }
+        if (maxConcurrent !== undefined && (!Number.isInteger(maxConcurrent) || maxConcurrent < 1)) {
+            throw new Error('maxConcurrent must be a positive integer');
+        }
+        this.interval = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+        this.maxConcurrent = maxConcurrent || Infinity;
+        this.queue = [];
+        this.active = 0;
+        this.nextStart = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Run a task once the limits allow it
+     * @param {Function} task - async () => result, e.g. sending one request
+     * @returns {Promise<*>} Task result
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start queued tasks while the limits allow, and wake up later for the rest
+     */
+    drain() {
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            const now = Date.now();
+            if (this.nextStart > now) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.drain();
+                    }, this.nextStart - now);
+                }
+                return;
+            }
+
+            const job = this.queue.shift();
+            this.active++;
+            this.nextStart = now + this.interval;
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Number of tasks waiting to start
+     * @returns {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+}
+
+module.exports = RateLimiter;
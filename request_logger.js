@@ -0,0 +1,243 @@
+/**
+ * Request Logger - Level-filtered, redacted request/response logging
+ *
+ * Wraps any logger exposing debug/info/warn/error methods (console, winston,
+ * or pino through pinoLogger()). Each entry is logged as
+ * logger[level](message, meta).
+ */
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+/**
+ * Mask an API key, keeping the first 8 and last 4 characters
+ * @param {string} key - API key
+ * @returns {string} Masked key
+ */
+function maskApiKey(key) {
+    const value = String(key);
+    if (value.length <= 12) {
+        return '***';
+    }
+    return value.substring(0, 8) + '...' + value.substring(value.length - 4);
+}
+
+// Applied before any user rules
+const DEFAULT_REDACT_RULES = [
+    (key, value) => (key.toLowerCase() === 'x-api-key' ? maskApiKey(value) : undefined),
+    (key, value) => (key === 'imageBase64' && typeof value === 'string'
+        ? `[base64 image, ${value.length} chars]`
+        : undefined)
+];
+
+/**
+ * Adapt a logger that takes the details first, like pino or bunyan
+ * RequestLogger calls logger[level](message, meta); pino expects (meta, message)
+ * and would log the details as the message and drop the message.
+ *
+ * @param {Object} logger - Logger with debug/info/warn/error methods taking (meta, message)
+ * @returns {Object} Logger taking (message, meta)
+ *
+ * @example
+ * const productApi = new ProductApi(apikey, { logger: pinoLogger(pino()) });
+ */
+function pinoLogger(logger) {
+    const adapter = {};
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        adapter[level] = (message, meta) => logger[level](meta, message);
+    }
+    return adapter;
+}
+
+class RequestLogger {
+    /**
+     * Initialize request logger
+     * @param {Object} [options] - Logger options
+     * @param {Object|null} [options.logger=console] - Logger with debug/info/warn/error methods, null for silent
+     * @param {string} [options.logLevel='debug'] - Minimum level: 'debug', 'info', 'warn', 'error' or 'silent'
+     * @param {number} [options.maxBodyLength=10000] - Maximum logged body size in characters, longer bodies are truncated
+     * @param {Array<string|Function>} [options.redact] - Extra redaction rules, applied to every key in
+     *   headers, params and bodies. A string redacts the key with that name (case-insensitive);
+     *   a function (key, value, path) returns the replacement value, or undefined to keep the value
+     */
+    constructor(options = {}) {
+        const {
+            logger = console,
+            logLevel = 'debug',
+            maxBodyLength = 10000,
+            redact = []
+        } = options;
+
+        if (!(logLevel in LOG_LEVELS)) {
+            throw new Error(`logLevel must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+        if (!Array.isArray(redact)) {
+            throw new Error('redact must be an array of key names or functions');
+        }
+
+        this.logger = logger;
+        this.level = logger === null ? LOG_LEVELS.silent : LOG_LEVELS[logLevel];
+        this.maxBodyLength = maxBodyLength;
+        this.rules = [
+            ...DEFAULT_REDACT_RULES,
+            ...redact.map(rule => {
+                if (typeof rule === 'function') {
+                    return rule;
+                }
+                const name = String(rule).toLowerCase();
+                return key => (key.toLowerCase() === name ? '[REDACTED]' : undefined);
+            })
+        ];
+    }
+
+    /**
+     * Check whether a level is logged
+     * @param {string} level - Log level
+     * @returns {boolean} True if entries at this level are written
+     */
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= this.level;
+    }
+
+    /**
+     * Write a log entry
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {Object} [meta] - Structured details
+     */
+    log(level, message, meta = {}) {
+        if (!this.isEnabled(level) || typeof this.logger[level] !== 'function') {
+            return;
+        }
+        this.logger[level](message, meta);
+    }
+
+    /**
+     * Apply redaction rules to a value, recursively
+     * @param {*} value - Headers, params or body
+     * @param {string} [path] - JSON path of the value
+     * @returns {*} Redacted copy
+     */
+    redact(value, path = '') {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.redact(item, `${path}[${index}]`));
+        }
+        if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+            return value;
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = path ? `${path}.${key}` : key;
+            let replaced;
+            for (const rule of this.rules) {
+                replaced = rule(key, item, itemPath);
+                if (replaced !== undefined) {
+                    break;
+                }
+            }
+            result[key] = replaced !== undefined ? replaced : this.redact(item, itemPath);
+        }
+        return result;
+    }
+
+    /**
+     * Redact a body and truncate it to maxBodyLength
+     * @param {*} body - Request or response body
+     * @returns {*} Redacted body, or a truncated string if too long
+     */
+    formatBody(body) {
+        if (body === null || body === undefined) {
+            return body;
+        }
+        const redacted = this.redact(body);
+        const text = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+        if (text.length <= this.maxBodyLength) {
+            return redacted;
+        }
+        return `${text.substring(0, this.maxBodyLength)}... [truncated ${text.length - this.maxBodyLength} chars]`;
+    }
+
+    /**
+     * Log an outgoing request
+     * @param {Object} info - { method, url, headers, params, data }
+     */
+    request(info) {
+        if (!this.isEnabled('debug')) {
+            return;
+        }
+        const meta = {
+            method: info.method,
+            url: info.url,
+            headers: this.redact(info.headers)
+        };
+        if (info.params) {
+            meta.params = this.redact(info.params);
+        }
+        if (info.data) {
+            meta.body = this.formatBody(info.data);
+        }
+        this.log('debug', `${info.method} ${info.url}`, meta);
+    }
+
+    /**
+     * Log a successful response; the body is only included at debug level
+     * @param {Object} info - { method, url, status, duration, attempts, data }
+     */
+    response(info) {
+        if (!this.isEnabled('info')) {
+            return;
+        }
+        const meta = {
+            method: info.method,
+            url: info.url,
+            status: info.status,
+            duration: info.duration,
+            attempts: info.attempts,
+            size: Buffer.byteLength(JSON.stringify(info.data) || '', 'utf8')
+        };
+        if (this.isEnabled('debug')) {
+            meta.body = this.formatBody(info.data);
+        }
+        this.log('info', `${info.method} ${info.url} ${info.status} ${info.duration}ms`, meta);
+    }
+
+    /**
+     * Log a failed attempt, as a warning when it will be retried
+     * @param {Object} info - { method, url, status, duration, attempt, maxAttempts, willRetry, message, error }
+     */
+    failure(info) {
+        this.log(info.willRetry ? 'warn' : 'error', `${info.method} ${info.url} failed: ${info.message}`, {
+            method: info.method,
+            url: info.url,
+            status: info.status,
+            duration: info.duration,
+            attempt: info.attempt,
+            maxAttempts: info.maxAttempts,
+            error: this.formatBody(info.error)
+        });
+    }
+
+    /**
+     * Log a scheduled retry
+     * @param {Object} info - { method, url, attempt, maxAttempts, delay }
+     */
+    retry(info) {
+        this.log('warn', `Retrying ${info.method} ${info.url} in ${info.delay}ms (attempt ${info.attempt}/${info.maxAttempts})`, {
+            method: info.method,
+            url: info.url,
+            attempt: info.attempt,
+            maxAttempts: info.maxAttempts,
+            delay: info.delay
+        });
+    }
+}
+
+module.exports = RequestLogger;
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.pinoLogger = pinoLogger;
@@ -0,0 +1,176 @@
+/**
+ * Safe Delete - Deactivate or delete a product only after checking it is the right one
+ *
+ * deleteProduct() removes whatever product has the friendly ID it is given.
+ * A safe delete first looks the product up and compares it with the expected
+ * sourceProductId or name. By default the product is only deactivated; a hard
+ * delete writes the product as the store returned it to a snapshot file first,
+ * so it can be restored, and counts towards the client's deletions-per-run limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toProductPayload } = require('./product_payload');
+const { notFound } = require('./subproduct_updates');
+const { ValidationError } = require('./errors');
+
+const MODES = ['deactivate', 'delete'];
+
+/**
+ * Check that the product is the one the caller expects
+ * @param {Object} product - Product object from getProducts()
+ * @param {Object} expected - { sourceProductId, name }
+ * @throws {ValidationError} If a given value does not match
+ */
+function confirmProduct(product, expected) {
+    for (const field of ['sourceProductId', 'name']) {
+        if (expected[field] !== undefined && String(expected[field]) !== String(product[field])) {
+            throw new ValidationError(
+                `Product ${product.friendlyId} has ${field} ${JSON.stringify(product[field])}, expected ${JSON.stringify(expected[field])}; nothing was deleted`,
+                field
+            );
+        }
+    }
+}
+
+/**
+ * Write the product to a snapshot file that importProducts() or restoreProduct() can read
+ * @param {Object} product - Product object from getProducts()
+ * @param {string} snapshotDir - Directory for snapshot files, created if missing
+ * @returns {Promise<string>} Snapshot file path
+ */
+async function writeSnapshot(product, snapshotDir) {
+    const deletedAt = new Date().toISOString();
+    const safeId = String(product.sourceProductId).replace(/[^A-Za-z0-9._-]/g, '_');
+    const filePath = path.join(snapshotDir, `${safeId}-${product.friendlyId}-${deletedAt.replace(/[:.]/g, '-')}.json`);
+
+    await fs.promises.mkdir(snapshotDir, { recursive: true });
+    // Same shape as an exportCatalog() JSON snapshot, keeping every field the store returned
+    await fs.promises.writeFile(filePath, JSON.stringify({
+        deletedAt: deletedAt,
+        friendlyId: product.friendlyId,
+        total: 1,
+        products: [product]
+    }, null, 2) + '\n');
+    return filePath;
+}
+
+/**
+ * Deactivate or delete a product after confirming it is the expected one
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {number|string} friendlyId - Product friendly ID
+ * @param {Object} options - Safe delete options
+ * @param {string} [options.sourceProductId] - Expected sourceProductId
+ * @param {string} [options.name] - Expected name (at least one of sourceProductId and name is required)
+ * @param {string} [options.mode='deactivate'] - 'deactivate' (re-upsert with active: false) or 'delete'
+ * @param {string} [options.snapshotDir] - Where hard-deleted products are saved (default: the client's deleteSnapshotDir)
+ * @param {boolean} [options.refresh=false] - Download the catalog even if the cached one is fresh
+ *   (hard deletes always download it)
+ * @returns {Promise<Object>} addProduct() or deleteProduct() result plus action and, for a delete, snapshotPath;
+ *   { success: true, unchanged: true } if the product was already inactive
+ * @throws {ValidationError} If the options are invalid, the product does not match or the delete limit is reached
+ * @throws {NotFoundError} If the product does not exist and throwOnError is enabled
+ */
+async function safeDeleteProduct(api, friendlyId, options = {}) {
+    const startTime = Date.now();
+    const { sourceProductId, name, mode = 'deactivate', snapshotDir = api.deleteSnapshotDir, refresh } = options;
+
+    if (!friendlyId) {
+        throw new ValidationError('friendlyId is required', 'friendlyId');
+    }
+    if (sourceProductId === undefined && name === undefined) {
+        throw new ValidationError('sourceProductId or name is required to confirm which product is deleted', 'sourceProductId');
+    }
+    if (!MODES.includes(mode)) {
+        throw new ValidationError(`mode must be one of: ${MODES.join(', ')}`, 'mode');
+    }
+    if (mode === 'delete' && !snapshotDir) {
+        throw new ValidationError('snapshotDir (or the deleteSnapshotDir client option) is required for hard deletes', 'snapshotDir');
+    }
+
+    // A hard delete confirms and snapshots the product as the store has it now, not as it was cached
+    const lookup = await api.productCache.getByFriendlyId(friendlyId, { refresh: refresh || mode === 'delete' });
+    if (!lookup.success) {
+        return lookup;
+    }
+    const product = lookup.product;
+    if (!product) {
+        return notFound(api, `Product ${friendlyId} not found`);
+    }
+    confirmProduct(product, { sourceProductId, name });
+
+    if (mode === 'deactivate') {
+        if (product.isActive === false) {
+            return {
+                success: true,
+                status: 200,
+                data: null,
+                action: 'deactivate',
+                unchanged: true,
+                duration: Date.now() - startTime,
+                attempts: 0
+            };
+        }
+        // The category already exists, no need to check it; the warranty is left as it is
+        const result = await api.addProduct(
+            { ...toProductPayload(product), active: false },
+            { categoryCheck: false, priceRules: false, applyDefaults: false }
+        );
+        return { ...result, action: 'deactivate' };
+    }
+
+    // Take the slot before anything is awaited, so concurrent deletes cannot pass the limit together
+    const deletes = api.deletes;
+    if (deletes.count >= deletes.limit) {
+        throw new ValidationError(
+            `Delete limit of ${deletes.limit} per run reached; call resetDeleteCount() to delete more`,
+            'maxDeletesPerRun'
+        );
+    }
+    deletes.count++;
+
+    let result;
+    let snapshotPath;
+    try {
+        snapshotPath = await writeSnapshot(product, snapshotDir);
+        result = await api.deleteProduct(friendlyId);
+    } finally {
+        if (!result || !result.success) {
+            deletes.count--;
+        }
+    }
+    return { ...result, action: 'delete', snapshotPath };
+}
+
+/**
+ * Restore products from a snapshot file written by a hard delete (or exportCatalog())
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} snapshotPath - Snapshot file
+ * @returns {Promise<Object>} addProduct() result of the last product restored, stopping at the first failure
+ * @throws {Error} If the file cannot be read or holds no products
+ */
+async function restoreProduct(api, snapshotPath) {
+    const snapshot = JSON.parse(await fs.promises.readFile(snapshotPath, 'utf8'));
+    const products = Array.isArray(snapshot) ? snapshot : snapshot && snapshot.products;
+    if (!Array.isArray(products) || products.length === 0) {
+        throw new Error(`No products in snapshot ${snapshotPath}`);
+    }
+
+    let result;
+    for (const product of products) {
+        // A restored product keeps the category and prices it had, and gets no defaults it did not have
+        result = await api.addProduct(toProductPayload(product), { categoryCheck: false, priceRules: false, applyDefaults: false });
+        if (!result.success) {
+            break;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    MODES,
+    safeDeleteProduct,
+    restoreProduct
+};
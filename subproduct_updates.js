@@ -0,0 +1,118 @@
+/**
+ * Subproduct Updates - Change stock and prices without resending the whole product
+ *
+ * addProduct() needs the complete product, so the current product is looked up
+ * in the catalog (through the client's product cache), the changed fields are
+ * merged into it and the full payload is sent back as an upsert.
+ */
+
+const { toProductPayload, diffProducts } = require('./product_payload');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// Subproduct fields that can be updated this way
+const UPDATABLE_FIELDS = ['stock', 'price'];
+
+/**
+ * Report a product or subproduct missing from the store
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} message - Error message
+ * @returns {Object} Failed result
+ * @throws {NotFoundError} If throwOnError is enabled
+ */
+function notFound(api, message) {
+    if (api.throwOnError) {
+        throw new NotFoundError(message);
+    }
+    return {
+        success: false,
+        status: null,
+        error: 'Not found',
+        message: message
+    };
+}
+
+/**
+ * Update fields of some subproducts of a product
+ *
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} sourceProductId - Product sourceProductId
+ * @param {Object} updates - Changes keyed by subproduct sourceProductId, e.g. { 'SUB-1': { stock: 5, price: 9.99 } }
+ * @param {Object} [options] - Update options
+ * @param {boolean} [options.refresh=false] - Download the catalog even if the cached product is fresh
+ * @returns {Promise<Object>} addProduct() result plus changes ({ path, from, to }); when nothing changed,
+ *   nothing is sent and { success: true, unchanged: true, changes: [] } is returned.
+ *   A failed catalog lookup returns the failed getProducts() result
+ * @throws {ValidationError} If the arguments or the updated values are invalid
+ * @throws {NotFoundError} If the product or a subproduct does not exist and throwOnError is enabled
+ */
+async function updateSubproducts(api, sourceProductId, updates, options = {}) {
+    const startTime = Date.now();
+
+    if (!sourceProductId) {
+        throw new ValidationError('sourceProductId is required', 'sourceProductId');
+    }
+    if (!updates || typeof updates !== 'object' || Object.keys(updates).length === 0) {
+        throw new ValidationError('updates must map at least one subproduct sourceProductId to its changes', 'updates');
+    }
+    for (const [subId, fields] of Object.entries(updates)) {
+        const unknown = Object.keys(fields || {}).filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (!fields || typeof fields !== 'object' || unknown.length > 0) {
+            throw new ValidationError(`Only ${UPDATABLE_FIELDS.join(' and ')} can be updated, got: ${unknown.join(', ') || fields}`, `updates[${subId}]`);
+        }
+    }
+
+    return await api.productCache.exclusive(sourceProductId, () => applyUpdates(api, sourceProductId, updates, options, startTime));
+}
+
+/**
+ * Merge updates into the current product and send it
+ * @param {ProductApi} api - ProductApi instance
+ * @param {string} sourceProductId - Product sourceProductId
+ * @param {Object} updates - Checked changes keyed by subproduct sourceProductId
+ * @param {Object} options - Update options
+ * @param {number} startTime - When the update was requested
+ * @returns {Promise<Object>} Update result, see updateSubproducts()
+ */
+async function applyUpdates(api, sourceProductId, updates, options, startTime) {
+    const lookup = await api.productCache.get(sourceProductId, { refresh: options.refresh });
+    if (!lookup.success) {
+        return lookup;
+    }
+    const product = lookup.product;
+    if (!product) {
+        return notFound(api, `Product ${sourceProductId} not found`);
+    }
+
+    const payload = toProductPayload(product);
+    for (const [subId, fields] of Object.entries(updates)) {
+        const subproduct = payload.subproducts.find(sub => String(sub.sourceProductId) === subId);
+        if (!subproduct) {
+            return notFound(api, `Subproduct ${subId} not found in product ${sourceProductId}`);
+        }
+        Object.assign(subproduct, fields);
+    }
+
+    const changes = diffProducts(payload, product);
+    if (changes.length === 0) {
+        return {
+            success: true,
+            status: 200,
+            data: null,
+            unchanged: true,
+            changes: [],
+            duration: Date.now() - startTime,
+            attempts: 0
+        };
+    }
+
+    // Prices come from the store or the caller, not from a supplier
+    // addProduct() keeps the cached copy current, so the next update needs no download
+    const result = await api.addProduct(payload, { priceRules: false, applyDefaults: false });
+    return { ...result, changes };
+}
+
+module.exports = {
+    UPDATABLE_FIELDS,
+    notFound,
+    updateSubproducts
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const ProductApi = require('../product_api');
+const { createApi, makeProduct } = require('./helpers');
+
+const PRODUCTS = ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'].map(id => makeProduct(id));
+
+test('addProducts keeps at most concurrency requests in flight', async () => {
+    const mock = new ProductApi.MockServer({ apikey: 'test-key' });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const api = new ProductApi('test-key', {
+        logger: null,
+        transport: async config => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            try {
+                await delay(5);
+                return await mock.transport(config);
+            } finally {
+                inFlight--;
+            }
+        }
+    });
+
+    const report = await api.addProducts(PRODUCTS, { concurrency: 2 });
+
+    assert.equal(report.success, true);
+    assert.deepEqual(report.summary, { total: 6, succeeded: 6, failed: 0, cancelled: 0 });
+    assert.equal(maxInFlight, 2);
+    assert.equal(mock.products.length, 6);
+});
+
+test('a failed product is reported and the others carry on', async () => {
+    const { api, mock } = createApi({ throwOnError: true });
+    const invalid = makeProduct('P2', { subproducts: [] });
+
+    const report = await api.addProducts([makeProduct('P1'), invalid, makeProduct('P3')]);
+
+    assert.equal(report.success, false);
+    assert.deepEqual(report.results.map(item => [item.id, item.status]), [['P1', 'succeeded'], ['P2', 'failed'], ['P3', 'succeeded']]);
+    assert.equal(report.results[1].result.errors[0].path, 'subproducts');
+    assert.equal(mock.products.length, 2);
+});
+
+test('progress events count every product', async () => {
+    const { api } = createApi();
+    const events = [];
+
+    await api.addProducts(PRODUCTS.slice(0, 2), {
+        concurrency: 1,
+        onProgress: event => events.push([event.type, event.id, event.completed, event.succeeded, event.eta === null])
+    });
+
+    assert.deepEqual(events, [
+        ['started', 'P1', 0, 0, true],
+        ['succeeded', 'P1', 1, 1, false],
+        ['started', 'P2', 1, 1, false],
+        ['succeeded', 'P2', 2, 2, false]
+    ]);
+});
+
+test('aborting cancels the products not started yet', async () => {
+    const { api, mock } = createApi();
+    const controller = new AbortController();
+
+    const report = await api.addProducts(PRODUCTS, {
+        concurrency: 1,
+        signal: controller.signal,
+        onProgress: event => {
+            if (event.type === 'succeeded' && event.completed === 2) {
+                controller.abort();
+            }
+        }
+    });
+
+    assert.equal(report.cancelled, true);
+    assert.deepEqual(report.summary, { total: 6, succeeded: 2, failed: 0, cancelled: 4 });
+    assert.equal(mock.products.length, 2);
+});
+
+test('deleteProducts reports missing products as failed', async () => {
+    const { api, mock } = createApi({ mock: { products: PRODUCTS.slice(0, 2) } });
+
+    const report = await api.deleteProducts([1001, 9999, 1002]);
+
+    assert.deepEqual(report.results.map(item => [item.id, item.status]), [[1001, 'succeeded'], [9999, 'failed'], [1002, 'succeeded']]);
+    assert.equal(mock.products.length, 0);
+    await assert.rejects(api.deleteProducts('1001'), { name: 'ValidationError', field: 'friendlyIds' });
+});
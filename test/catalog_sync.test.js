@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSync } = require('../catalog_sync');
+const { createApi, makeProduct } = require('./helpers');
+
+test('planSync works out create, update, unchanged and deactivate', () => {
+    const remote = [
+        { ...makeProduct('SAME'), friendlyId: 1, isActive: true },
+        { ...makeProduct('CHANGED'), friendlyId: 2, isActive: true },
+        { ...makeProduct('GONE'), friendlyId: 3, isActive: true },
+        { ...makeProduct('OFF'), friendlyId: 4, isActive: false }
+    ];
+    const feed = [makeProduct('SAME'), makeProduct('CHANGED', { name: 'Renamed' }), makeProduct('NEW')];
+
+    const plan = planSync(feed, remote);
+    const actions = Object.fromEntries(plan.map(entry => [entry.sourceProductId, entry.action]));
+
+    assert.deepEqual(actions, { SAME: 'unchanged', CHANGED: 'update', NEW: 'create', GONE: 'deactivate' });
+    assert.deepEqual(plan.find(entry => entry.action === 'update').changes, [{ path: 'name', from: 'Product CHANGED', to: 'Renamed' }]);
+});
+
+test('planSync disables subproducts dropped from the feed', () => {
+    const remote = [{ ...makeProduct('P1'), friendlyId: 1 }];
+    const feed = [makeProduct('P1', { subproducts: [makeProduct('P1').subproducts[0]] })];
+
+    const [entry] = planSync(feed, remote);
+
+    assert.equal(entry.action, 'update');
+    assert.deepEqual(entry.payload.subproducts.map(sub => [sub.sourceProductId, sub.stock]), [['P1-A', 5], ['P1-B', 0]]);
+});
+
+test('planSync checks the feed and options', () => {
+    assert.throws(() => planSync([makeProduct('P1'), makeProduct('P1')], []), { name: 'ValidationError' });
+    assert.throws(() => planSync([{ name: 'No ID' }], []), { name: 'ValidationError' });
+    assert.throws(() => planSync([], [], { missingPolicy: 'archive' }), { name: 'ValidationError' });
+});
+
+test('planSync only touches missing products of the given provider', () => {
+    const remote = [
+        { ...makeProduct('MINE'), friendlyId: 1, provider: 'acme' },
+        { ...makeProduct('OTHER'), friendlyId: 2, provider: 'someone-else' }
+    ];
+
+    const plan = planSync([], remote, { missingPolicy: 'delete', provider: 'acme' });
+
+    assert.deepEqual(plan.map(entry => [entry.sourceProductId, entry.action]), [['MINE', 'delete']]);
+});
+
+test('syncCatalog sends the plan and reports a summary', async () => {
+    const { api, mock } = createApi({
+        categoryCheck: false,
+        mock: { products: [makeProduct('KEEP'), makeProduct('GONE'), makeProduct('DROP', { provider: 'acme' })] }
+    });
+
+    const report = await api.syncCatalog([makeProduct('KEEP'), makeProduct('NEW')], { missingPolicy: 'deactivate' });
+
+    assert.equal(report.success, true);
+    assert.deepEqual(report.summary, { create: 1, update: 0, unchanged: 1, deactivate: 2, delete: 0, failed: 0 });
+    const byId = Object.fromEntries(mock.products.map(product => [product.sourceProductId, product]));
+    assert.equal(byId.NEW.isActive, true);
+    assert.equal(byId.GONE.isActive, false);
+    assert.equal(byId.DROP.isActive, false);
+});
+
+test('syncCatalog dry runs send nothing', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('GONE')] } });
+
+    const report = await api.syncCatalog([makeProduct('NEW')], { dryRun: true });
+
+    assert.deepEqual(report.results, []);
+    assert.equal(report.summary.create, 1);
+    assert.equal(report.summary.deactivate, 1);
+    assert.equal(mock.requests.filter(request => request.method !== 'GET').length, 0);
+});
+
+test('syncCatalog keeps the warranty of updated and deactivated products', async () => {
+    const { api, mock } = createApi({
+        categoryCheck: false,
+        mock: { products: [makeProduct('CHANGED', { warrantyDays: 30 }), makeProduct('GONE', { warrantyDays: 30 })] }
+    });
+
+    await api.syncCatalog([makeProduct('CHANGED', { name: 'Renamed' }), makeProduct('NEW')]);
+
+    const byId = Object.fromEntries(mock.products.map(product => [product.sourceProductId, product]));
+    assert.equal(byId.CHANGED.name, 'Renamed');
+    assert.equal(byId.CHANGED.warrantyDays, 30);
+    assert.equal(byId.GONE.isActive, false);
+    assert.equal(byId.GONE.warrantyDays, 30);
+    assert.equal(byId.NEW.warrantyDays, 7);
+});
+
+test('syncCatalog reports a failed product without stopping', async () => {
+    const { api, mock } = createApi({
+        categoryCheck: false,
+        mock: { products: [makeProduct('GONE')] }
+    });
+    // Fail the first request after the catalog is fetched, which is the create
+    const getAllProducts = api.getAllProducts.bind(api);
+    api.getAllProducts = async (...args) => {
+        const result = await getAllProducts(...args);
+        if (!args[0].isActive) {
+            mock.failNext({ status: 400 });
+        }
+        return result;
+    };
+
+    const report = await api.syncCatalog([makeProduct('NEW')]);
+
+    assert.equal(report.success, false);
+    assert.equal(report.summary.failed, 1);
+    assert.deepEqual(report.results.map(result => [result.sourceProductId, result.success]), [['NEW', false], ['GONE', true]]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductApi = require('../product_api');
+const { normalizeName, similarity, suggestCategories, listCategories } = require('../categories');
+const { main } = require('../cli');
+const { createApi, makeProduct } = require('./helpers');
+
+test('names are normalized in any script', () => {
+    assert.equal(normalizeName('  Instagram-Accounts! '), 'instagram accounts');
+    assert.equal(normalizeName('Аккаунты ВКонтакте'), 'аккаунты вконтакте');
+    assert.equal(normalizeName('Cuentas de España'), 'cuentas de españa');
+});
+
+test('names without letters or digits are not similar to anything', () => {
+    assert.equal(similarity('', ''), 0);
+    assert.equal(similarity('!!!', '---'), 0);
+    assert.equal(similarity('Instagram accounts', 'Instagram Accounts'), 1);
+    assert.ok(similarity('Аккаунты', 'Почта') < 0.5);
+});
+
+test('suggestions find the name meant in a non-Latin category', () => {
+    const categories = listCategories([makeProduct('P1', { category: { name: 'Аккаунты' }, subcategory: { name: 'ВКонтакте' } })]);
+
+    const suggestions = suggestCategories('Аккаунты Вконтакте', categories);
+
+    assert.deepEqual(suggestions.map(item => [item.categoryName, item.subcategoryName, item.score]), [['Аккаунты', 'ВКонтакте', 1]]);
+});
+
+test('addProduct rejects an unknown category with suggestions', async () => {
+    const { api, mock } = createApi();
+
+    await assert.rejects(
+        api.addProduct(makeProduct('P1', { subcategoryName: 'Instagram accounts' })),
+        error => error.name === 'ValidationError' && error.field === 'subcategoryName' && /Did you mean: Accounts \/ Instagram Accounts/.test(error.message)
+    );
+    assert.equal(mock.products.length, 0);
+
+    const created = await api.addProduct(makeProduct('P1', { categoryName: 'Games', subcategoryName: 'Steam Keys' }), { categoryCheck: false });
+    assert.equal(created.success, true);
+});
+
+test('the CLI add command takes --no-category-check', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const mock = new ProductApi.MockServer({ apikey: 'test-key' });
+    const server = await mock.listen();
+    t.after(() => server.close());
+
+    const configPath = path.join(dir, 'config.json');
+    const productsPath = path.join(dir, 'products.json');
+    fs.writeFileSync(configPath, JSON.stringify({ apikey: 'test-key', baseUrl: server.baseUrl }));
+    fs.writeFileSync(productsPath, JSON.stringify([makeProduct('P1', { categoryName: 'Games', subcategoryName: 'Steam Keys' })]));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const env = { HSTOCKPLUS_CONFIG: configPath };
+
+    assert.equal(await main(['add', productsPath, '--quiet'], env), 1);
+    assert.equal(mock.products.length, 0);
+
+    assert.equal(await main(['add', productsPath, '--quiet', '--no-category-check'], env), 0);
+    assert.equal(mock.products[0].category.name, 'Games');
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductApi = require('../product_api');
+const { diffProducts } = require('../product_payload');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Number of addProduct() requests the mock received
+ * @param {MockServer} mock - Mock server
+ * @returns {number}
+ */
+function upserts(mock) {
+    return mock.requests.filter(request => request.method === 'POST' && request.path === '/products').length;
+}
+
+test('an unchanged product is not sent again', async () => {
+    const { api, mock } = createApi({ categoryCheck: false, changeStore: new ProductApi.MemoryChangeStore() });
+
+    const first = await api.addProduct(makeProduct('P1'));
+    const second = await api.addProduct(makeProduct('P1'));
+
+    assert.equal(upserts(mock), 1);
+    assert.equal(second.unchanged, true);
+    assert.equal(second.data.friendlyId, first.data.friendlyId);
+
+    const forced = await api.addProduct(makeProduct('P1'), { force: true });
+    assert.equal(forced.unchanged, undefined);
+    assert.equal(upserts(mock), 2);
+});
+
+test('changes are reported against the payload last sent', async () => {
+    const events = [];
+    const { api } = createApi({
+        categoryCheck: false,
+        changeStore: new ProductApi.MemoryChangeStore(),
+        onProductChange: info => events.push(info)
+    });
+    await api.addProduct(makeProduct('P1', { provider: 'acme' }));
+
+    const product = makeProduct('P1', { description: 'Now with a description' });
+    product.subproducts = [{ ...product.subproducts[0], stock: 1 }];
+    const result = await api.addProduct(product);
+
+    assert.deepEqual(result.changes, [
+        { path: 'provider', from: 'acme', to: undefined },
+        { path: 'description', from: undefined, to: 'Now with a description' },
+        { path: 'subproducts[P1-A].stock', from: 5, to: 1 },
+        { path: 'subproducts[P1-B]', from: makeProduct('P1').subproducts[1], to: undefined }
+    ]);
+    assert.deepEqual(events.map(event => [event.firstSeen, event.changes.length]), [[true, 0], [false, 4]]);
+});
+
+test('seeded products are compared on the fields the store reports', async () => {
+    const { api, mock } = createApi({ changeStore: new ProductApi.MemoryChangeStore(), mock: { products: [makeProduct('P1')] } });
+
+    const seeded = await api.seedChangeStore();
+    assert.equal(seeded.seeded, 1);
+    const requests = upserts(mock);
+
+    // Fields the store reports and the payload leaves out are not compared
+    const result = await api.addProduct(makeProduct('P1'), { applyDefaults: false });
+
+    assert.equal(result.unchanged, true);
+    assert.equal(upserts(mock), requests);
+});
+
+test('a field missing from a seeded product is sent and stored in full', async () => {
+    const { api, mock } = createApi({ changeStore: new ProductApi.MemoryChangeStore(), mock: { products: [makeProduct('P1', { warrantyDays: 1 })] } });
+    await api.seedChangeStore();
+
+    // warrantyDays is not reported by the store, so the seeded product does not have it
+    const result = await api.addProduct(makeProduct('P1', { warrantyDays: 30 }));
+
+    assert.equal(result.unchanged, undefined);
+    assert.deepEqual(result.changes, [{ path: 'warrantyDays', from: undefined, to: 30 }]);
+    assert.equal(mock.products[0].warrantyDays, 30);
+    assert.equal((await api.changeStore.get('P1')).seeded, false);
+
+    const again = await api.addProduct(makeProduct('P1', { warrantyDays: 30 }));
+    assert.equal(again.unchanged, true);
+});
+
+test('diffProducts only reports fields set on both sides by default', () => {
+    const current = makeProduct('P1', { provider: 'acme' });
+    const desired = makeProduct('P1', { subproducts: [makeProduct('P1').subproducts[0]] });
+
+    assert.deepEqual(diffProducts(desired, current), []);
+    assert.deepEqual(diffProducts(desired, current, { includeUnset: true }).map(change => change.path), ['provider', 'subproducts[P1-B]']);
+});
+
+test('a JSON file change store remembers products between runs', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-changes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'changes.json');
+
+    const { api, mock } = createApi({ categoryCheck: false, changeStore: new ProductApi.JsonFileChangeStore(filePath) });
+    await api.addProduct(makeProduct('P1'));
+
+    const next = new ProductApi('test-key', { transport: mock.transport, logger: null, categoryCheck: false, changeStore: new ProductApi.JsonFileChangeStore(filePath) });
+    const result = await next.addProduct(makeProduct('P1'));
+
+    assert.equal(result.unchanged, true);
+    assert.equal(upserts(mock), 1);
+
+    const expired = new ProductApi.JsonFileChangeStore(filePath, { maxAge: -1 });
+    assert.equal(await expired.get('P1'), null);
+});
+
+test('seeding a JSON file change store keeps every product', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-changes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'changes.json');
+    const { api } = createApi({
+        changeStore: new ProductApi.JsonFileChangeStore(filePath),
+        mock: { products: ['P1', 'P2', 'P3'].map(id => makeProduct(id)) }
+    });
+
+    await api.seedChangeStore();
+
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))).sort(), ['P1', 'P2', 'P3']);
+});
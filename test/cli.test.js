@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductApi = require('../product_api');
+const { main } = require('../cli');
+const { makeProduct } = require('./helpers');
+
+// PNG signature followed by the start of an IHDR chunk
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+/**
+ * Start a mock server and write a config file pointing at it, both removed after the test
+ * @param {TestContext} t - Test context
+ * @param {Object} [options] - MockServer options
+ * @returns {Promise<Object>} { mock, dir, env, stdout, stderr } where stdout/stderr collect printed lines
+ */
+async function setup(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const mock = new ProductApi.MockServer({ apikey: 'test-key', ...options });
+    const server = await mock.listen();
+    t.after(() => server.close());
+
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ apikey: 'test-key', baseUrl: server.baseUrl }));
+
+    const stdout = [];
+    const stderr = [];
+    t.mock.method(console, 'log', (...args) => stdout.push(args.join(' ')));
+    t.mock.method(console, 'error', (...args) => stderr.push(args.join(' ')));
+    return { mock, dir, env: { HSTOCKPLUS_CONFIG: configPath }, stdout, stderr };
+}
+
+test('list prints products as JSON or a table', async t => {
+    const { env, stdout } = await setup(t, { products: [makeProduct('P1'), makeProduct('P2', { active: false })] });
+
+    assert.equal(await main(['list', '--json', '--active', 'all'], env), 0);
+    assert.deepEqual(JSON.parse(stdout.join('\n')).map(product => product.sourceProductId), ['P1', 'P2']);
+
+    stdout.length = 0;
+    assert.equal(await main(['list', '--quiet'], env), 0);
+    assert.equal(stdout.length, 1);
+    assert.match(stdout[0], /^FRIENDLY ID +NAME .*\n1001 +Product P1 +manual +true +2 +7 +10$/);
+});
+
+test('add sends every product and fails if one is invalid', async t => {
+    const { mock, dir, env, stderr } = await setup(t);
+    const filePath = path.join(dir, 'products.json');
+    fs.writeFileSync(filePath, JSON.stringify({ products: [makeProduct('P1'), makeProduct('P2', { name: '' })] }));
+
+    assert.equal(await main(['add', filePath, '--quiet'], env), 1);
+    assert.deepEqual(mock.products.map(product => product.sourceProductId), ['P1']);
+    assert.match(stderr.join('\n'), /Add product P2 failed: name: name is required/);
+});
+
+test('delete removes products by friendly ID', async t => {
+    const { mock, env } = await setup(t, { products: [makeProduct('P1'), makeProduct('P2')] });
+
+    assert.equal(await main(['delete', '1001', '--quiet'], env), 0);
+    assert.deepEqual(mock.products.map(product => product.sourceProductId), ['P2']);
+    assert.equal(await main(['delete', '9999', '--quiet'], env), 1);
+    assert.equal(await main(['delete', 'P2'], env), 2);
+});
+
+test('upload-image uploads a local file and prints its path', async t => {
+    const { mock, dir, env, stdout } = await setup(t);
+    const filePath = path.join(dir, 'image.png');
+    fs.writeFileSync(filePath, PNG);
+
+    assert.equal(await main(['upload-image', filePath], env), 0);
+    assert.equal(mock.images.length, 1);
+    assert.equal(stdout[0], mock.images[0].imagePath);
+});
+
+test('usage and configuration errors exit with 2', async t => {
+    const { dir, stderr } = await setup(t);
+    const noKey = path.join(dir, 'empty.json');
+    fs.writeFileSync(noKey, '{}');
+
+    assert.equal(await main([], {}), 2);
+    assert.equal(await main(['rename'], {}), 2);
+    assert.equal(await main(['list'], { HSTOCKPLUS_CONFIG: noKey }), 2);
+    assert.match(stderr.join('\n'), /No API key/);
+    assert.equal(await main(['list'], { HSTOCKPLUS_CONFIG: path.join(dir, 'missing.json') }), 2);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProductApi = require('../product_api');
+const { makeProduct } = require('./helpers');
+
+/**
+ * Create a manager with two accounts on the same host, each with its own mock store
+ * @param {Object} [options] - Starting products: { source, target }
+ * @returns {Object} { manager, source, target } where source and target are the mock servers
+ */
+function createManager(options = {}) {
+    const source = new ProductApi.MockServer({ apikey: 'key-a', products: options.source || [] });
+    const target = new ProductApi.MockServer({ apikey: 'key-b', products: options.target || [] });
+    const manager = new ProductApi.ClientManager({
+        defaults: { logger: null, retry: { maxAttempts: 1 } },
+        accounts: {
+            a: { apikey: 'key-a', transport: source.transport },
+            b: { apikey: 'key-b', transport: target.transport }
+        }
+    });
+    return { manager, source, target };
+}
+
+test('accounts on one host share a rate limiter and connection pool', () => {
+    const { manager } = createManager();
+    manager.addAccount('other', { apikey: 'key-c', baseUrl: 'https://example.com/api' });
+
+    assert.deepEqual(manager.names(), ['a', 'b', 'other']);
+    assert.equal(manager.get('a').rateLimiter, manager.get('b').rateLimiter);
+    assert.notEqual(manager.get('a').rateLimiter, manager.get('other').rateLimiter);
+    assert.equal(manager.get('a').httpsAgent, manager.get('b').httpsAgent);
+
+    assert.throws(() => manager.get('missing'), { name: 'ValidationError' });
+    assert.throws(() => manager.addAccount('a', { apikey: 'x' }), { name: 'ValidationError' });
+    assert.equal(manager.removeAccount('other'), true);
+    assert.equal(manager.has('other'), false);
+    manager.destroy();
+});
+
+test('copyProduct upserts the source product on the target', async () => {
+    const { manager, target } = createManager({ source: [makeProduct('P1', { provider: 'acme' })] });
+
+    const result = await manager.copyProduct('a', 'b', 'P1', { overrides: { active: false } });
+
+    assert.equal(result.success, true);
+    const [copy] = target.products;
+    assert.equal(copy.sourceProductId, 'P1');
+    assert.equal(copy.provider, 'acme');
+    assert.equal(copy.isActive, false);
+    assert.equal(copy.subproducts[1].price, 20);
+
+    assert.equal((await manager.copyProduct('a', 'b', 'NOPE')).error, 'Not found');
+    await assert.rejects(manager.copyProduct('a', 'a', 'P1'), { name: 'ValidationError' });
+});
+
+test('copies do not reset the warranty of the target product', async () => {
+    const { manager, target } = createManager({
+        source: [makeProduct('P1', { name: 'New name' })],
+        target: [makeProduct('P1', { warrantyDays: 30 })]
+    });
+
+    await manager.copyProduct('a', 'b', 'P1');
+
+    assert.equal(target.products[0].name, 'New name');
+    assert.equal(target.products[0].warrantyDays, 30);
+    assert.equal('warrantyDays' in target.requests.at(-1).data, false);
+});
+
+test('mirrorProducts sends only new and changed products', async () => {
+    const { manager, target } = createManager({
+        source: [makeProduct('SAME'), makeProduct('CHANGED', { name: 'Renamed' }), makeProduct('NEW')],
+        target: [makeProduct('SAME'), makeProduct('CHANGED', { warrantyDays: 30 }), makeProduct('EXTRA')]
+    });
+
+    const report = await manager.mirrorProducts('a', 'b');
+
+    assert.equal(report.success, true);
+    assert.deepEqual(report.summary, { create: 1, update: 1, unchanged: 1, deactivate: 0, delete: 0, failed: 0 });
+    const byId = Object.fromEntries(target.products.map(product => [product.sourceProductId, product]));
+    assert.equal(byId.CHANGED.name, 'Renamed');
+    assert.equal(byId.CHANGED.warrantyDays, 30);
+    assert.equal(byId.EXTRA.isActive, true);
+    for (const request of target.requests.filter(request => request.method === 'POST')) {
+        assert.equal('warrantyDays' in request.data, false);
+    }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProductApi = require('../product_api');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Transport failing every request without a response, like axios does
+ * @param {string} code - Network error code
+ * @returns {Function} Transport
+ */
+function failingTransport(code) {
+    return async () => {
+        const error = new Error(`connect ${code}`);
+        error.code = code;
+        // Sent, but no response
+        error.request = {};
+        throw error;
+    };
+}
+
+test('failed requests throw the error class of their status with throwOnError', async () => {
+    const cases = [
+        [401, ProductApi.AuthError],
+        [403, ProductApi.AuthError],
+        [404, ProductApi.NotFoundError],
+        [429, ProductApi.RateLimitError],
+        [500, ProductApi.ServerError],
+        [400, ProductApi.ProductApiError]
+    ];
+
+    for (const [status, ErrorClass] of cases) {
+        const { api, mock } = createApi({ throwOnError: true, retry: { maxAttempts: 1 } });
+        mock.failNext({ status });
+
+        await assert.rejects(api.deleteProduct(1001), error => {
+            assert.ok(error instanceof ErrorClass, `${status} should throw ${ErrorClass.name}`);
+            assert.ok(error instanceof ProductApi.ProductApiError);
+            assert.equal(error.status, status);
+            assert.equal(error.request.method, 'DELETE');
+            return true;
+        });
+    }
+});
+
+test('a rate limit error carries Retry-After in ms', async () => {
+    const { api, mock } = createApi({ throwOnError: true, retry: { maxAttempts: 1 } });
+    mock.failNext({ status: 429, headers: { 'retry-after': '2' } });
+
+    await assert.rejects(api.getProducts(), { name: 'RateLimitError', retryAfter: 2000 });
+});
+
+test('requests without a response throw NetworkError or TimeoutError', async () => {
+    const network = new ProductApi('test-key', { transport: failingTransport('ECONNRESET'), logger: null, retry: { maxAttempts: 1 }, throwOnError: true });
+    const timeout = new ProductApi('test-key', { transport: failingTransport('ECONNABORTED'), logger: null, retry: { maxAttempts: 1 }, throwOnError: true });
+
+    await assert.rejects(network.getProducts(), error => error instanceof ProductApi.NetworkError && error.status === null && error.code === 'ECONNRESET');
+    await assert.rejects(timeout.getProducts(), error => error instanceof ProductApi.TimeoutError && error instanceof ProductApi.NetworkError);
+});
+
+test('without throwOnError, failures are returned as results', async () => {
+    const { api, mock } = createApi({ retry: { maxAttempts: 1 } });
+    mock.failNext({ status: 404 });
+
+    const result = await api.deleteProduct(1001);
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 404);
+});
+
+test('invalid arguments throw a ValidationError with the field path either way', async () => {
+    const { api } = createApi();
+    const product = makeProduct('P1');
+    product.subproducts[1].stock = -1;
+
+    await assert.rejects(api.addProduct(product), { name: 'ValidationError', field: 'subproducts[1].stock' });
+});
@@ -0,0 +1,48 @@
+/**
+ * Test helpers - A ProductApi client wired to an in-memory MockServer
+ */
+
+const ProductApi = require('../product_api');
+
+/**
+ * Build an addProduct() payload
+ * @param {string} id - sourceProductId, also used for the subproduct IDs
+ * @param {Object} [fields] - Fields to set or override
+ * @returns {Object} Payload in a reference category
+ */
+function makeProduct(id, fields = {}) {
+    return {
+        categoryName: 'Accounts',
+        subcategoryName: 'Instagram Accounts',
+        sourceProductId: id,
+        name: `Product ${id}`,
+        productType: 'manual',
+        subproducts: [
+            { sourceProductId: `${id}-A`, sourceName: 'Small', price: 10, stock: 5 },
+            { sourceProductId: `${id}-B`, sourceName: 'Large', price: 20, stock: 2 }
+        ],
+        ...fields
+    };
+}
+
+/**
+ * Create a mock server and a client talking to it
+ * @param {Object} [options] - ProductApi options, plus mock: MockServer options
+ * @returns {Object} { api, mock }
+ */
+function createApi(options = {}) {
+    const { mock: mockOptions = {}, ...apiOptions } = options;
+    const mock = new ProductApi.MockServer({ apikey: 'test-key', ...mockOptions });
+    const api = new ProductApi('test-key', {
+        transport: mock.transport,
+        logger: null,
+        retry: { maxAttempts: 3, baseDelay: 1, maxDelay: 5, jitter: false },
+        ...apiOptions
+    });
+    return { api, mock };
+}
+
+module.exports = {
+    makeProduct,
+    createApi
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryImageCache, JsonFileImageCache } = require('../image_cache');
+const { createApi } = require('./helpers');
+
+/**
+ * Create a temporary directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-image-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('an image uploaded from the same URL is not uploaded again', async () => {
+    const { api, mock } = createApi({ imageCache: new MemoryImageCache() });
+
+    const first = await api.uploadImage({ imageUrl: 'https://example.com/a.png' });
+    const second = await api.uploadImage({ imageUrl: 'https://example.com/a.png' });
+
+    assert.equal(second.cached, true);
+    assert.equal(second.data.imagePath, first.data.imagePath);
+    assert.equal(mock.images.length, 1);
+});
+
+test('expired entries are treated as missing', () => {
+    const cache = new MemoryImageCache({ maxAge: 1000 });
+    cache.set('url:a', { imagePath: '/a.png', createdAt: Date.now() - 2000 });
+
+    assert.equal(cache.get('url:a'), null);
+    assert.deepEqual(cache.entries(), []);
+});
+
+test('concurrent writes to a new JSON file cache keep every entry', async t => {
+    const filePath = path.join(tempDir(t), 'images.json');
+    const cache = new JsonFileImageCache(filePath);
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(key => cache.set(`url:${key}`, { imagePath: `/${key}.png`, createdAt: Date.now() })));
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(saved).sort(), ['url:a', 'url:b', 'url:c', 'url:d']);
+    assert.equal(fs.readdirSync(path.dirname(filePath)).length, 1);
+
+    const reopened = new JsonFileImageCache(filePath);
+    assert.equal((await reopened.get('url:c')).imagePath, '/c.png');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { MAX_IMAGE_SIZE, detectImageType } = require('../image_source');
+const { createApi } = require('./helpers');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const GIF = Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1');
+
+/**
+ * Create a temporary directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-image-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('the format is detected from the magic bytes', () => {
+    assert.equal(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(detectImageType(PNG), 'image/png');
+    assert.equal(detectImageType(GIF), 'image/gif');
+    assert.equal(detectImageType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(detectImageType(Buffer.from('\uFEFF<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml');
+    assert.equal(detectImageType(Buffer.from('%PDF-1.7')), null);
+});
+
+test('files, Buffers and streams are uploaded as data URLs', async t => {
+    const filePath = path.join(tempDir(t), 'logo.png');
+    fs.writeFileSync(filePath, PNG);
+    const { api, mock } = createApi();
+
+    const fromFile = await api.uploadImage({ filePath });
+    const fromBuffer = await api.uploadImage({ buffer: GIF });
+    const fromStream = await api.uploadImage({ stream: Readable.from([PNG.subarray(0, 4), PNG.subarray(4)]) });
+
+    assert.equal(fromFile.success && fromBuffer.success && fromStream.success, true);
+    assert.deepEqual(mock.images.map(image => image.type), ['image/png', 'image/gif', 'image/png']);
+    assert.equal(mock.requests[0].data.imageBase64, `data:image/png;base64,${PNG.toString('base64')}`);
+});
+
+test('unsupported, unreadable and oversized images are rejected before sending', async t => {
+    const dir = tempDir(t);
+    const largePath = path.join(dir, 'large.png');
+    // Sparse, so the file takes no space: the size is checked before reading
+    fs.writeFileSync(largePath, PNG);
+    fs.truncateSync(largePath, MAX_IMAGE_SIZE + 1);
+    const { api, mock } = createApi();
+
+    await assert.rejects(api.uploadImage({ buffer: Buffer.from('%PDF-1.7') }), { name: 'ValidationError', field: 'buffer' });
+    await assert.rejects(api.uploadImage({ filePath: path.join(dir, 'missing.png') }), { name: 'ValidationError', field: 'filePath' });
+    await assert.rejects(api.uploadImage({ filePath: largePath }), { name: 'ValidationError', message: 'Image exceeds the maximum size of 5.00MB' });
+    await assert.rejects(api.uploadImage({ buffer: PNG, imageUrl: 'https://example.com/a.png' }), { name: 'ValidationError' });
+    assert.equal(mock.requests.length, 0);
+});
+
+test('optimize shrinks images over the limit', async () => {
+    const { api, mock } = createApi();
+    const large = Buffer.concat([PNG, Buffer.alloc(MAX_IMAGE_SIZE)]);
+    const calls = [];
+
+    const result = await api.uploadImage({
+        buffer: large,
+        optimize: async (buffer, info) => {
+            calls.push(info);
+            return GIF;
+        }
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, [{ type: 'image/png', size: large.length, maxSize: MAX_IMAGE_SIZE }]);
+    assert.equal(mock.images[0].type, 'image/gif');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProductApi = require('../product_api');
+const { createApi, makeProduct } = require('./helpers');
+
+test('products are upserted by sourceProductId and keep their friendlyId', async () => {
+    const { api, mock } = createApi();
+
+    const created = await api.addProduct(makeProduct('P1'));
+    const updated = await api.addProduct(makeProduct('P1', { name: 'Renamed' }));
+
+    assert.equal(created.data.friendlyId, 1001);
+    assert.equal(updated.data.friendlyId, 1001);
+    assert.equal(updated.data.message, 'Product updated successfully');
+    assert.equal(mock.products.length, 1);
+    assert.equal(mock.products[0].name, 'Renamed');
+});
+
+test('products are filtered by type and status and paged', async () => {
+    const { api } = createApi({
+        mock: { products: [makeProduct('P1'), makeProduct('P2', { productType: 'auto' }), makeProduct('P3'), makeProduct('P4', { active: false })] }
+    });
+
+    const page = await api.getProducts({ productType: 'manual', limit: 1, offset: 1 });
+    const inactive = await api.getProducts({ productType: 'auto,manual', isActive: false });
+
+    assert.deepEqual(page.data.products.map(product => product.sourceProductId), ['P3']);
+    assert.equal(page.data.total, 2);
+    assert.deepEqual(inactive.data.products.map(product => product.sourceProductId), ['P4']);
+});
+
+test('unknown products and API keys get the real error statuses', async () => {
+    const { api } = createApi();
+    const stranger = new ProductApi('other-key', { transport: api.transport, logger: null });
+
+    assert.equal((await api.deleteProduct(1001)).status, 404);
+    assert.equal((await stranger.getProducts()).status, 401);
+});
+
+test('the mock server answers over HTTP', async t => {
+    const mock = new ProductApi.MockServer({ apikey: 'test-key', products: [makeProduct('P1')] });
+    const server = await mock.listen();
+    t.after(() => server.close());
+    const api = new ProductApi('test-key', { baseUrl: server.baseUrl, logger: null });
+
+    const result = await api.getProducts({ productType: 'manual' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.products[0].friendlyId, 1001);
+});
+
+test('recorded exchanges replay without the server or the API key', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'fixtures.json');
+    const mock = new ProductApi.MockServer({ apikey: 'secret-key' });
+    const recorder = new ProductApi('secret-key', {
+        transport: ProductApi.createRecordingTransport(filePath, { transport: mock.transport }),
+        logger: null
+    });
+
+    await recorder.addProduct(makeProduct('P1'));
+    await recorder.deleteProduct(9999);
+
+    const fixtures = fs.readFileSync(filePath, 'utf8');
+    assert.equal(fixtures.includes('secret-key'), false);
+    assert.equal(JSON.parse(fixtures).exchanges.length, 2);
+
+    const replay = new ProductApi('test-key', { transport: ProductApi.createReplayTransport(filePath), logger: null });
+    assert.equal((await replay.addProduct(makeProduct('P1'))).data.friendlyId, 1001);
+    assert.equal((await replay.deleteProduct(9999)).status, 404);
+
+    const unmatched = await replay.deleteProduct(1001);
+    assert.equal(unmatched.error, 'Request setup error');
+    assert.match(unmatched.message, /No recorded response for DELETE/);
+});
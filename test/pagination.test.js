@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, makeProduct } = require('./helpers');
+
+const PRODUCTS = ['P1', 'P2', 'P3', 'P4', 'P5'].map(id => makeProduct(id, { productType: 'auto' }));
+
+test('iterateProducts walks every page', async () => {
+    const { api, mock } = createApi({ mock: { products: PRODUCTS } });
+
+    const ids = [];
+    for await (const product of api.iterateProducts({ pageSize: 2 })) {
+        ids.push(product.sourceProductId);
+    }
+
+    assert.deepEqual(ids, ['P1', 'P2', 'P3', 'P4', 'P5']);
+    assert.deepEqual(mock.requests.map(request => Number(request.params.offset)), [0, 2, 4]);
+});
+
+test('products removed mid-walk neither skip nor repeat the rest', async () => {
+    const { api, mock } = createApi({ mock: { products: PRODUCTS } });
+    const getProducts = api.getProducts.bind(api);
+    api.getProducts = async options => {
+        const result = await getProducts(options);
+        if (options.offset === 0) {
+            // Someone else deletes the first product after the first page
+            mock.products.shift();
+        }
+        return result;
+    };
+
+    const result = await api.getAllProducts({ pageSize: 2 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.products.map(product => product.sourceProductId), ['P1', 'P2', 'P3', 'P4', 'P5']);
+});
+
+test('an aborted signal stops the walk before the next page', async () => {
+    const { api, mock } = createApi({ mock: { products: PRODUCTS } });
+    const controller = new AbortController();
+
+    const ids = [];
+    for await (const product of api.iterateProducts({ pageSize: 2, signal: controller.signal })) {
+        ids.push(product.sourceProductId);
+        controller.abort();
+    }
+
+    assert.deepEqual(ids, ['P1', 'P2']);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('getAllProducts returns the failed page result', async () => {
+    const { api, mock } = createApi({ mock: { products: PRODUCTS } });
+    mock.failNext({ status: 401 });
+
+    const result = await api.getAllProducts({ pageSize: 2 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 401);
+});
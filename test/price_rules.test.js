@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PriceRules } = require('../price_rules');
+const { createApi, makeProduct } = require('./helpers');
+
+const ENDING = { mode: 'up', step: 1, ending: 0.99 };
+
+test('prices are clamped before rounding, so the ending survives', () => {
+    const rules = new PriceRules({ defaults: { rounding: ENDING, min: 3, max: 20 } });
+
+    assert.equal(rules.price({}, 25).price, 19.99);
+    assert.equal(rules.price({}, 19.5).price, 19.99);
+    assert.equal(rules.price({}, 10.2).price, 10.99);
+    assert.equal(rules.price({}, 1).price, 3.99);
+});
+
+test('the bound is used when no price within min and max has the ending', () => {
+    const rules = new PriceRules({ defaults: { rounding: { step: 1, ending: 0.99 }, min: 5.1, max: 5.5 } });
+
+    assert.equal(rules.price({}, 7).price, 5.5);
+    assert.equal(rules.price({}, 1).price, 5.1);
+});
+
+test('rules match names ignoring case and punctuation and fall back to the defaults', () => {
+    const rules = new PriceRules({
+        currency: 'EUR',
+        rates: { EUR: 1, USD: 0.5 },
+        defaults: { markup: { percent: 50 } },
+        rules: [{ name: 'instagram', match: { subcategoryName: 'instagram-accounts' }, markup: { fixed: 1 } }]
+    });
+
+    assert.deepEqual(rules.price(makeProduct('P1'), 10), { cost: 10, currency: 'EUR', convertedCost: 10, price: 11, rule: 'instagram' });
+    assert.deepEqual(rules.price(makeProduct('P2', { subcategoryName: 'Gmail' }), 10, { currency: 'USD' }),
+        { cost: 10, currency: 'USD', convertedCost: 5, price: 7.5, rule: 'defaults' });
+});
+
+test('addProduct sends the priced payload unless priceRules is false', async () => {
+    const { api, mock } = createApi({ priceRules: { defaults: { markup: { percent: 100 }, rounding: ENDING, max: 30 } } });
+
+    await api.addProduct(makeProduct('P1'));
+    await api.addProduct(makeProduct('P2'), { priceRules: false });
+
+    assert.deepEqual(mock.requests[0].data.subproducts.map(sub => sub.price), [20.99, 29.99]);
+    assert.deepEqual(mock.requests[1].data.subproducts.map(sub => sub.price), [10, 20]);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Create a temporary directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const PRODUCTS = [makeProduct('P1', { provider: 'acme', warrantyDays: 30 }), makeProduct('P2', { active: false })];
+
+test('a JSON snapshot keeps the products as the store returned them', async t => {
+    const filePath = path.join(tempDir(t), 'catalog.json');
+    const { api } = createApi({ mock: { products: PRODUCTS } });
+
+    const result = await api.exportCatalog(filePath);
+
+    assert.equal(result.success, true);
+    assert.equal(result.format, 'json');
+    assert.equal(result.products, 2);
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const [first] = snapshot.products;
+    assert.equal(first.friendlyId, 1001);
+    assert.equal(typeof first.updatedAt, 'string');
+    assert.equal(first.category.name, 'Accounts');
+    assert.equal(snapshot.products[1].isActive, false);
+});
+
+test('a JSON snapshot can be imported into another store', async t => {
+    const filePath = path.join(tempDir(t), 'catalog.json');
+    const { api } = createApi({ mock: { products: PRODUCTS } });
+    await api.exportCatalog(filePath);
+
+    const { api: other, mock } = createApi({ categoryCheck: false });
+    const report = await other.importProducts(filePath);
+
+    assert.equal(report.success, true);
+    assert.deepEqual(mock.products.map(product => [product.sourceProductId, product.provider || null, product.isActive]), [
+        ['P1', 'acme', true],
+        ['P2', null, false]
+    ]);
+    assert.deepEqual(mock.products[0].subproducts.map(sub => sub.price), [10, 20]);
+});
+
+test('re-importing an export keeps the warranty of existing products', async t => {
+    const dir = tempDir(t);
+    const { api, mock } = createApi({ categoryCheck: false, mock: { products: PRODUCTS } });
+
+    for (const file of ['catalog.json', 'catalog.csv', 'catalog.jsonl']) {
+        const filePath = path.join(dir, file);
+        await api.exportCatalog(filePath);
+        const report = await api.importProducts(filePath);
+
+        assert.equal(report.success, true, file);
+        assert.equal(mock.products[0].warrantyDays, 30, file);
+    }
+});
+
+test('CSV exports have one row per subproduct', async t => {
+    const filePath = path.join(tempDir(t), 'catalog.csv');
+    const { api } = createApi({ mock: { products: PRODUCTS } });
+
+    const result = await api.exportCatalog(filePath, { columns: ['friendlyId', 'sourceProductId', 'subproduct.sourceProductId', 'subproduct.price'] });
+
+    assert.equal(result.rows, 4);
+    assert.equal(fs.readFileSync(filePath, 'utf8').split(/\r?\n/)[1], '1001,P1,P1-A,10');
+});
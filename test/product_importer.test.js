@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApi, makeProduct } = require('./helpers');
+
+const HEADER = 'sourceProductId,name,categoryName,subcategoryName,subproduct.sourceProductId,subproduct.sourceName,subproduct.price,subproduct.stock';
+
+/**
+ * Create a temporary directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-import-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Write a CSV file in a temporary directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @param {Array<string>} lines - Data lines, after the header
+ * @returns {string} File path
+ */
+function writeCsv(t, lines) {
+    const filePath = path.join(tempDir(t), 'products.csv');
+    fs.writeFileSync(filePath, [HEADER, ...lines].join('\n') + '\n');
+    return filePath;
+}
+
+test('rows sharing a sourceProductId are sent as one product', async t => {
+    const filePath = writeCsv(t, [
+        'P1,Gmail Aged,Email,Gmail,A,1 month,0.25,100',
+        'P1,,,,B,6 months,0.9,40',
+        'P2,Outlook,Email,Outlook,C,New,1,5'
+    ]);
+    const { api, mock } = createApi();
+
+    const report = await api.importProducts(filePath);
+
+    assert.equal(report.success, true);
+    assert.deepEqual(report.summary, { rows: 3, products: 2, succeeded: 3, validationFailed: 0, apiFailed: 0 });
+    const sent = mock.requests.find(request => request.data && request.data.sourceProductId === 'P1').data;
+    assert.deepEqual(sent.subproducts.map(sub => [sub.sourceProductId, sub.price, sub.stock]), [['A', 0.25, 100], ['B', 0.9, 40]]);
+});
+
+test('rows of one product in different categories fail the product', async t => {
+    const filePath = writeCsv(t, [
+        'P1,Gmail Aged,Email,Gmail,A,1 month,0.25,100',
+        'P1,,Email,Outlook,B,6 months,0.9,40'
+    ]);
+    const failedRowsPath = path.join(path.dirname(filePath), 'failed.csv');
+    const { api, mock } = createApi();
+
+    const report = await api.importProducts(filePath, { failedRowsPath });
+
+    assert.equal(report.success, false);
+    assert.equal(mock.requests.length, 0);
+    assert.deepEqual(report.rows.map(row => [row.line, row.status]), [[2, 'validation_error'], [3, 'validation_error']]);
+    assert.equal(report.rows[0].message, 'Another row of this product failed validation');
+    assert.match(report.rows[1].message, /subcategoryName Outlook does not match Gmail of the other rows of product P1/);
+    assert.match(fs.readFileSync(failedRowsPath, 'utf8'), /importError/);
+});
+
+test('a ValidationError from addProduct is a validation error', async t => {
+    const filePath = writeCsv(t, ['P1,Steam key,Games,Steam Keys,A,Key,5,1']);
+    const { api } = createApi();
+
+    const report = await api.importProducts(filePath);
+
+    assert.equal(report.rows[0].status, 'validation_error');
+    assert.equal(report.rows[0].errors[0].path, 'categoryName');
+    assert.equal(report.summary.validationFailed, 1);
+});
+
+test('an API error thrown with throwOnError is an api error', async t => {
+    const filePath = writeCsv(t, ['P1,Gmail Aged,Email,Gmail,A,1 month,0.25,100']);
+    const { api, mock } = createApi({ throwOnError: true });
+    mock.failNext({ status: 401 });
+
+    const report = await api.importProducts(filePath);
+
+    assert.equal(report.rows[0].status, 'api_error');
+    assert.equal(report.products[0].status, 401);
+});
+
+test('other errors are thrown', async t => {
+    const filePath = writeCsv(t, ['P1,Gmail Aged,Email,Gmail,A,1 month,0.25,100']);
+    const { api } = createApi();
+    api.addProduct = async () => {
+        throw new TypeError('Cannot read properties of undefined');
+    };
+
+    await assert.rejects(api.importProducts(filePath), TypeError);
+});
+
+test('an export keeps its store prices when imported through price rules', async t => {
+    const dir = tempDir(t);
+    const { api } = createApi({ mock: { products: [makeProduct('P1')] } });
+    const priceRules = { defaults: { markup: { percent: 50 } } };
+
+    for (const format of ['json', 'csv']) {
+        const filePath = path.join(dir, `catalog.${format}`);
+        await api.exportCatalog(filePath);
+        const { api: other, mock } = createApi({ categoryCheck: false, priceRules });
+
+        const report = await other.importProducts(filePath);
+
+        assert.equal(report.success, true, format);
+        const sent = mock.requests.find(request => request.data && request.data.sourceProductId === 'P1').data;
+        assert.deepEqual(sent.subproducts.map(sub => sub.price), [10, 20], format);
+    }
+});
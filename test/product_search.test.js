@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProductIndex } = require('../product_search');
+const { createApi, makeProduct } = require('./helpers');
+
+const CATALOG = [
+    makeProduct('P1', { provider: 'acme', name: 'Gmail Account' }),
+    makeProduct('P2', { provider: 'acme', subcategoryName: 'Facebook Accounts', subproducts: [{ sourceProductId: 'P2-A', sourceName: 'One', price: 3, stock: 0 }] }),
+    makeProduct('P3', { provider: 'other', active: false })
+];
+
+test('findProducts filters, sorts and pages the catalog', async () => {
+    const { api } = createApi({ mock: { products: CATALOG } });
+
+    const result = await api.findProducts({ provider: 'ACME', sort: '-price', limit: 1 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.total, 2);
+    assert.deepEqual(result.data.products.map(product => product.sourceProductId), ['P1']);
+
+    const zeroStock = await api.findProducts({ zeroStock: true });
+    assert.deepEqual(zeroStock.data.products.map(product => product.sourceProductId), ['P2']);
+
+    const inactive = await api.findProducts({ isActive: false, name: /gmail|product p3/i });
+    assert.deepEqual(inactive.data.products.map(product => product.sourceProductId), ['P3']);
+});
+
+test('findProducts downloads the catalog once while it is fresh', async () => {
+    const { api, mock } = createApi({ mock: { products: CATALOG } });
+
+    await api.findProducts({ provider: 'acme' });
+    const requests = mock.requests.length;
+    await api.findProducts({ provider: 'other' });
+
+    assert.equal(mock.requests.length, requests);
+});
+
+test('search results and lookups are copies of the cached products', async () => {
+    const { api } = createApi({ mock: { products: CATALOG } });
+
+    const found = await api.findProducts({ sourceProductId: 'P1' });
+    found.data.products[0].name = 'Changed';
+    found.data.products[0].subproducts[0].stock = 99;
+
+    const lookup = await api.getProductBySourceId('P1');
+    assert.equal(lookup.data.name, 'Gmail Account');
+    assert.equal(lookup.data.subproducts[0].stock, 5);
+    lookup.data.name = 'Changed again';
+
+    assert.equal((await api.getProductByFriendlyId(1001)).data.name, 'Gmail Account');
+});
+
+test('invalid queries are rejected', () => {
+    const index = new ProductIndex(CATALOG);
+
+    assert.throws(() => index.find({ colour: 'red' }), { name: 'ValidationError', field: 'colour' });
+    assert.throws(() => index.find({ sort: 'colour' }), { name: 'ValidationError', field: 'sort' });
+    assert.throws(() => index.find({ updatedAfter: 'yesterday' }), { name: 'ValidationError' });
+});
+
+test('store-assigned fields work on exported snapshots and are rejected on payloads', async () => {
+    const { api } = createApi({ mock: { products: CATALOG } });
+    const exported = (await api.getAllProducts({ productType: 'manual' })).data.products;
+
+    const byFriendlyId = await api.findProducts({ friendlyId: 1002 }, { snapshot: { products: exported } });
+    assert.deepEqual(byFriendlyId.data.products.map(product => product.sourceProductId), ['P2']);
+    const recent = await api.findProducts({ updatedWithin: 60000, sort: '-updatedAt' }, { snapshot: exported });
+    assert.equal(recent.data.total, 2);
+
+    await assert.rejects(api.findProducts({ friendlyId: 1002 }, { snapshot: CATALOG }), { name: 'ValidationError', field: 'friendlyId' });
+    await assert.rejects(api.findProducts({ notUpdatedFor: 1000 }, { snapshot: CATALOG }), { field: 'notUpdatedFor' });
+    await assert.rejects(api.findProducts({ sort: 'createdAt' }, { snapshot: CATALOG }), { field: 'sort' });
+});
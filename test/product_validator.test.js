@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProduct, normalizeNumbers } = require('../product_validator');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Build a product with one subproduct
+ * @param {Object} subproduct - Subproduct fields to set or override
+ * @returns {Object} Payload
+ */
+function withSubproduct(subproduct) {
+    return makeProduct('P1', { subproducts: [{ sourceProductId: 'P1-A', sourceName: 'Small', price: 10, stock: 5, ...subproduct }] });
+}
+
+test('every problem is reported with its path', () => {
+    const { valid, errors } = validateProduct({
+        categoryName: 'Accounts',
+        subcategoryName: 'Steam Keys',
+        sourceProductId: 'P1',
+        subproducts: [
+            { sourceProductId: 'A', sourceName: 'Small', price: 1.23456, stock: 1 },
+            { sourceProductId: 'A', sourceName: 'Large', price: -1, stock: 1.5 }
+        ],
+        productType: 'digital'
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(error => error.path), [
+        'subcategoryName',
+        'name',
+        'subproducts[0].price',
+        'subproducts[1].price',
+        'subproducts[1].stock',
+        'subproducts[1].sourceProductId',
+        'productType'
+    ]);
+});
+
+test('prices off by floating point noise are accepted', () => {
+    assert.equal(validateProduct(withSubproduct({ price: 0.1 + 0.2 })).valid, true);
+    assert.equal(validateProduct(withSubproduct({ price: 1.1 * 3 })).valid, true);
+    assert.equal(validateProduct(withSubproduct({ price: 0.30001 })).valid, false);
+});
+
+test('numeric strings are accepted for price, stock and minQuantity', () => {
+    assert.equal(validateProduct(withSubproduct({ price: '25.99', stock: ' 10 ', minQuantity: '1' })).valid, true);
+
+    const { errors } = validateProduct(withSubproduct({ price: 'abc', stock: '1e3', minQuantity: '1.5' }));
+    assert.deepEqual(errors.map(error => error.message), [
+        'subproduct.price must be a number',
+        'subproduct.stock must be a non-negative integer',
+        'subproduct.minQuantity must be a non-negative integer'
+    ]);
+    assert.equal(validateProduct(withSubproduct({ price: '' })).errors[0].message, 'subproduct.price is required');
+});
+
+test('normalizeNumbers converts numeric strings and leaves clean payloads alone', () => {
+    const clean = makeProduct('P1');
+    assert.equal(normalizeNumbers(clean), clean);
+
+    const raw = withSubproduct({ price: '0.1', stock: '3', name: '42', minQuantity: 'abc' });
+    const normalized = normalizeNumbers(raw);
+    assert.deepEqual(normalized.subproducts[0], { sourceProductId: 'P1-A', sourceName: 'Small', price: 0.1, stock: 3, name: '42', minQuantity: 'abc' });
+    assert.equal(raw.subproducts[0].price, '0.1');
+    assert.equal(normalizeNumbers(withSubproduct({ price: 0.1 + 0.2 })).subproducts[0].price, 0.3);
+});
+
+test('addProduct sends numeric strings as numbers', async () => {
+    const { api, mock } = createApi();
+
+    const result = await api.addProduct(withSubproduct({ price: '0.1', stock: '3' }));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(mock.requests[0].data.subproducts[0], { sourceProductId: 'P1-A', sourceName: 'Small', price: 0.1, stock: 3 });
+    await assert.rejects(api.addProduct(withSubproduct({ stock: 'many' })), { name: 'ValidationError', field: 'subproducts[0].stock' });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../rate_limiter');
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('maxConcurrent caps the tasks in flight', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 });
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(5);
+        active--;
+        return n * 2;
+    })));
+
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(peak, 2);
+    assert.equal(limiter.pending, 0);
+});
+
+test('requestsPerSecond spaces out task starts', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50 });
+    const starts = [];
+
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => starts.push(Date.now()))));
+
+    // 20ms apart, allowing for timer granularity
+    assert.ok(starts[2] - starts[0] >= 35, `tasks started ${starts[2] - starts[0]}ms apart`);
+});
+
+test('a failed task rejects without blocking the queue', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+
+    const failed = limiter.schedule(async () => {
+        throw new Error('boom');
+    });
+    const next = limiter.schedule(async () => 'ok');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'ok');
+});
+
+test('invalid limits are rejected', () => {
+    assert.throws(() => new RateLimiter({ requestsPerSecond: 0 }), /requestsPerSecond/);
+    assert.throws(() => new RateLimiter({ maxConcurrent: 1.5 }), /maxConcurrent/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProductApi = require('../product_api');
+const { createApi } = require('./helpers');
+
+/**
+ * Logger recording its calls, with the details first like pino
+ * @returns {Object} Logger with a calls array of [level, meta, message]
+ */
+function metaFirstLogger() {
+    const logger = { calls: [] };
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = function (meta, message) {
+            // pino methods need their logger as this
+            assert.equal(this, logger);
+            logger.calls.push([level, meta, message]);
+        };
+    }
+    return logger;
+}
+
+test('pinoLogger passes the details first', async () => {
+    const pino = metaFirstLogger();
+    const { api } = createApi({ logger: ProductApi.pinoLogger(pino), logLevel: 'info' });
+
+    await api.getProducts();
+
+    assert.equal(pino.calls.length, 1);
+    const [level, meta, message] = pino.calls[0];
+    assert.equal(level, 'info');
+    assert.match(message, /^GET \S+\/products\?\S* 200 \d+ms$/);
+    assert.equal(meta.status, 200);
+});
+
+test('API keys are masked and extra keys redacted', async () => {
+    const key = 'abcdefgh-1234-5678-wxyz';
+    const mock = new ProductApi.MockServer({ apikey: key });
+    const calls = [];
+    const logger = { debug: (message, meta) => calls.push(meta) };
+    const api = new ProductApi(key, { transport: mock.transport, logger, redact: ['sourceName'] });
+
+    await api.addProduct({
+        categoryName: 'Email',
+        subcategoryName: 'Gmail',
+        sourceProductId: 'P1',
+        name: 'Gmail',
+        subproducts: [{ sourceProductId: 'P1-A', sourceName: 'Secret', price: 1, stock: 1 }]
+    });
+
+    const sent = calls.find(meta => meta.method === 'POST');
+    assert.equal(sent.headers['X-Api-Key'], 'abcdefgh...wxyz');
+    assert.equal(sent.body.subproducts[0].sourceName, '[REDACTED]');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, makeProduct } = require('./helpers');
+
+test('GET requests are retried on 5xx until they succeed', async () => {
+    const { api, mock } = createApi();
+    mock.failNext({ status: 503, times: 2 });
+
+    const result = await api.getProducts();
+
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 3);
+    assert.equal(mock.requests.length, 3);
+});
+
+test('retries stop after maxAttempts', async () => {
+    const { api, mock } = createApi();
+    mock.failNext({ status: 500, times: 5 });
+
+    const result = await api.getProducts();
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 500);
+    assert.equal(result.attempts, 3);
+});
+
+test('client errors are not retried', async () => {
+    const { api, mock } = createApi();
+    mock.failNext({ status: 400 });
+
+    const result = await api.getProducts();
+
+    assert.equal(result.success, false);
+    assert.equal(result.attempts, 1);
+});
+
+test('addProduct is retried as an upsert', async () => {
+    const { api, mock } = createApi({ categoryCheck: false });
+    mock.failNext({ status: 502 });
+
+    const result = await api.addProduct(makeProduct('P1'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 2);
+    assert.equal(mock.products.length, 1);
+});
+
+test('uploadImage and other methods are sent only once', async () => {
+    const { api, mock } = createApi();
+    mock.failNext({ status: 500, times: 2 });
+
+    const upload = await api.uploadImage({ imageUrl: 'https://example.com/a.png' });
+    assert.equal(upload.attempts, 1);
+
+    const put = await api.request('PUT', `${api.baseUrl}/products`, api.getHeader());
+    assert.equal(put.attempts, 1);
+});
+
+test('Retry-After sets the delay, capped by maxDelay', () => {
+    const { api } = createApi({ retry: { baseDelay: 100, maxDelay: 1000, jitter: false } });
+
+    assert.equal(api.getRetryDelay(1, 500), 500);
+    assert.equal(api.getRetryDelay(1, 5000), 1000);
+    assert.equal(api.getRetryDelay(1), 100);
+    assert.equal(api.getRetryDelay(3), 400);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Create a temporary snapshot directory, removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstockplus-safe-delete-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('safeDeleteProduct deactivates by default and keeps the warranty', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1', { warrantyDays: 30 })] } });
+
+    const result = await api.safeDeleteProduct(1001, { sourceProductId: 'P1' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.action, 'deactivate');
+    assert.equal(mock.products[0].isActive, false);
+    assert.equal(mock.products[0].warrantyDays, 30);
+    assert.equal('warrantyDays' in mock.requests.at(-1).data, false);
+
+    const again = await api.safeDeleteProduct(1001, { sourceProductId: 'P1' });
+    assert.equal(again.unchanged, true);
+});
+
+test('safeDeleteProduct refuses a product that does not match', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1'), makeProduct('P2')] } });
+
+    await assert.rejects(api.safeDeleteProduct(1002, { sourceProductId: 'P1' }), { name: 'ValidationError', field: 'sourceProductId' });
+    await assert.rejects(api.safeDeleteProduct(1001, {}), { name: 'ValidationError' });
+    assert.equal((await api.safeDeleteProduct(9999, { name: 'x' })).error, 'Not found');
+    assert.equal(mock.products.every(product => product.isActive), true);
+});
+
+test('a hard delete snapshots the store product and can be restored', async t => {
+    const snapshotDir = tempDir(t);
+    const { api, mock } = createApi({ deleteSnapshotDir: snapshotDir, mock: { products: [makeProduct('P1', { provider: 'acme' })] } });
+
+    const result = await api.safeDeleteProduct(1001, { sourceProductId: 'P1', mode: 'delete' });
+
+    assert.equal(result.success, true);
+    assert.equal(mock.products.length, 0);
+    const snapshot = JSON.parse(fs.readFileSync(result.snapshotPath, 'utf8'));
+    assert.equal(snapshot.products[0].friendlyId, 1001);
+    assert.equal(snapshot.products[0].category.name, 'Accounts');
+    assert.equal(typeof snapshot.products[0].updatedAt, 'string');
+
+    const restored = await api.restoreProduct(result.snapshotPath);
+
+    assert.equal(restored.success, true);
+    const sent = mock.requests.at(-1).data;
+    assert.equal(sent.categoryName, 'Accounts');
+    assert.equal(sent.provider, 'acme');
+    assert.equal('warrantyDays' in sent, false);
+    assert.equal(mock.products[0].sourceProductId, 'P1');
+});
+
+test('hard deletes are capped per run', async t => {
+    const snapshotDir = tempDir(t);
+    const { api } = createApi({
+        deleteSnapshotDir: snapshotDir,
+        maxDeletesPerRun: 1,
+        mock: { products: [makeProduct('P1'), makeProduct('P2')] }
+    });
+
+    await api.safeDeleteProduct(1001, { sourceProductId: 'P1', mode: 'delete' });
+    await assert.rejects(api.safeDeleteProduct(1002, { sourceProductId: 'P2', mode: 'delete' }), { field: 'maxDeletesPerRun' });
+
+    api.resetDeleteCount();
+    assert.equal((await api.safeDeleteProduct(1002, { sourceProductId: 'P2', mode: 'delete' })).success, true);
+});
+
+test('a hard delete checks the store, not the cached catalog', async t => {
+    const snapshotDir = tempDir(t);
+    const { api, mock } = createApi({ deleteSnapshotDir: snapshotDir, mock: { products: [makeProduct('P1'), makeProduct('P2')] } });
+    await api.productCache.getByFriendlyId(1001);
+
+    mock.products[0].name = 'Replaced';
+    await assert.rejects(api.safeDeleteProduct(1001, { name: 'Product P1', mode: 'delete' }), { name: 'ValidationError', field: 'name' });
+    assert.equal(mock.products.length, 2);
+
+    mock.products[1].provider = 'acme';
+    const result = await api.safeDeleteProduct(1002, { sourceProductId: 'P2', mode: 'delete' });
+
+    assert.equal(result.success, true);
+    assert.equal(JSON.parse(fs.readFileSync(result.snapshotPath, 'utf8')).products[0].provider, 'acme');
+});
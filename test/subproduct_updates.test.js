@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, makeProduct } = require('./helpers');
+
+/**
+ * Payloads of the addProduct() requests the mock received
+ * @param {MockServer} mock - Mock server
+ * @returns {Array<Object>}
+ */
+function sentProducts(mock) {
+    return mock.requests.filter(request => request.method === 'POST' && request.path === '/products').map(request => request.data);
+}
+
+test('updateStock changes only the given subproducts', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1')] } });
+
+    const result = await api.updateStock('P1', { 'P1-A': 42 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.changes, [{ path: 'subproducts[P1-A].stock', from: 5, to: 42 }]);
+    const [product] = mock.products;
+    assert.equal(product.subproducts[0].stock, 42);
+    assert.equal(product.subproducts[1].stock, 2);
+});
+
+test('updates keep the warranty the store does not report', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1', { warrantyDays: 30 })] } });
+
+    // Like the real API, the listed product has no warrantyDays
+    const listed = await api.getProducts({ productType: 'manual' });
+    assert.equal('warrantyDays' in listed.data.products[0], false);
+
+    await api.updateStock('P1', { 'P1-A': 1 });
+    await api.updatePrices('P1', { 'P1-B': 25.5 });
+
+    for (const payload of sentProducts(mock)) {
+        assert.equal('warrantyDays' in payload, false);
+    }
+    assert.equal(mock.products[0].warrantyDays, 30);
+    assert.equal(mock.products[0].subproducts[1].price, 25.5);
+});
+
+test('addProduct still defaults warrantyDays for new products', async () => {
+    const { api, mock } = createApi({ categoryCheck: false });
+
+    await api.addProduct(makeProduct('P1'));
+
+    assert.equal(sentProducts(mock)[0].warrantyDays, 7);
+});
+
+test('an update that changes nothing sends nothing', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1')] } });
+
+    const result = await api.updateSubproducts('P1', { 'P1-A': { stock: 5, price: 10 } });
+
+    assert.equal(result.unchanged, true);
+    assert.equal(sentProducts(mock).length, 0);
+});
+
+test('a missing product or subproduct is reported as not found', async () => {
+    const { api } = createApi({ mock: { products: [makeProduct('P1')] } });
+
+    assert.equal((await api.updateStock('NOPE', { x: 1 })).error, 'Not found');
+    assert.equal((await api.updateStock('P1', { 'P1-Z': 1 })).error, 'Not found');
+    await assert.rejects(api.updateStock('P1', { 'P1-A': -1 }), { name: 'ValidationError' });
+});
+
+test('concurrent updates of one product do not undo each other', async () => {
+    const { api, mock } = createApi({ mock: { products: [makeProduct('P1')] } });
+
+    await Promise.all([
+        api.updateStock('P1', { 'P1-A': 7 }),
+        api.updatePrices('P1', { 'P1-B': 30 })
+    ]);
+
+    assert.equal(mock.products[0].subproducts[0].stock, 7);
+    assert.equal(mock.products[0].subproducts[1].price, 30);
+});
+
+test('updates after addProduct() reuse the cached catalog', async () => {
+    const { api, mock } = createApi({ categoryCheck: false, mock: { products: [makeProduct('P1')] } });
+    const downloads = () => mock.requests.filter(request => request.method === 'GET').length;
+
+    await api.updateStock('P1', { 'P1-A': 1 });
+    const afterFirst = downloads();
+    await api.addProduct(makeProduct('P1', { name: 'Renamed', provider: 'acme' }));
+    await api.updatePrices('P1', { 'P1-B': 15 });
+
+    assert.equal(downloads(), afterFirst);
+    const cached = (await api.getProductBySourceId('P1')).data;
+    assert.equal(cached.name, 'Renamed');
+    assert.equal(cached.provider, 'acme');
+    assert.deepEqual(cached.subproducts.map(sub => [sub.stock, sub.price]), [[5, 10], [2, 15]]);
+    assert.equal(downloads(), afterFirst);
+});
@@ -0,0 +1,147 @@
+/**
+ * Transport - How ProductApi sends requests, plus recording and replay for tests
+ *
+ * A transport is a function taking an axios request config ({ method, url, headers,
+ * params, data, timeout }) and resolving with { status, headers, data }. Like axios,
+ * it rejects for HTTP errors with an error whose `response` holds the response.
+ * axios itself is the default transport.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+
+/**
+ * Resolve a response the way axios does: reject anything outside 2xx
+ * @param {Object} config - Request config
+ * @param {Object} response - { status, headers, data }
+ * @returns {Object} Response with config attached
+ * @throws {AxiosError} If the status is not 2xx
+ */
+function settleResponse(config, response) {
+    const settled = {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: response.headers || {},
+        data: response.data,
+        config: config
+    };
+    if (settled.status >= 200 && settled.status < 300) {
+        return settled;
+    }
+    throw new axios.AxiosError(
+        `Request failed with status code ${settled.status}`,
+        settled.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        {},
+        settled
+    );
+}
+
+/**
+ * Describe a request for fixtures, without headers (they hold the API key) or the host
+ * @param {Object} config - Request config
+ * @returns {Object} { method, url, params, data }
+ */
+function describeRequest(config) {
+    const url = new URL(config.url);
+    return {
+        method: String(config.method).toUpperCase(),
+        url: url.pathname + url.search,
+        params: config.params ? JSON.parse(JSON.stringify(config.params)) : undefined,
+        data: config.data !== undefined && config.data !== null ? config.data : undefined
+    };
+}
+
+/**
+ * Build the key used to match a request against recorded ones
+ * @param {Object} request - Output of describeRequest()
+ * @returns {string} Match key
+ */
+function requestKey(request) {
+    return JSON.stringify([request.method, request.url, request.params || null, request.data || null]);
+}
+
+/**
+ * Create a transport that sends requests through another transport and records
+ * every request/response pair to a JSON fixture file
+ * HTTP errors are recorded too; network errors are not, since there is no response.
+ *
+ * @param {string} filePath - Fixture file, rewritten after each request
+ * @param {Object} [options] - Recorder options
+ * @param {Function} [options.transport=axios] - Transport that sends the real requests
+ * @returns {Function} Transport, with an `exchanges` array of everything recorded
+ *
+ * @example
+ * const api = new ProductApi(apikey, { transport: createRecordingTransport('./fixtures/sync.json') });
+ */
+function createRecordingTransport(filePath, options = {}) {
+    const { transport = axios } = options;
+    const exchanges = [];
+
+    const record = (config, response) => {
+        exchanges.push({
+            request: describeRequest(config),
+            response: { status: response.status, headers: response.headers || {}, data: response.data }
+        });
+        fs.writeFileSync(filePath, JSON.stringify({ exchanges }, null, 2) + '\n');
+    };
+
+    const recorder = async config => {
+        let response;
+        try {
+            response = await transport(config);
+        } catch (error) {
+            if (error.response) {
+                record(config, error.response);
+            }
+            throw error;
+        }
+        record(config, response);
+        return response;
+    };
+    recorder.exchanges = exchanges;
+    return recorder;
+}
+
+/**
+ * Create a transport that answers from recorded fixtures, without any network
+ * Requests are matched by method, path, query parameters and body. When the same
+ * request was recorded several times, the responses are replayed in order and the
+ * last one is repeated. Unmatched requests fail as request setup errors.
+ *
+ * @param {string|Object} fixtures - Fixture file written by createRecordingTransport(), or its parsed content
+ * @returns {Function} Transport
+ *
+ * @example
+ * const api = new ProductApi('test-key', { transport: createReplayTransport('./fixtures/sync.json') });
+ */
+function createReplayTransport(fixtures) {
+    const { exchanges = [] } = typeof fixtures === 'string'
+        ? JSON.parse(fs.readFileSync(fixtures, 'utf8'))
+        : fixtures;
+
+    const queues = new Map();
+    for (const exchange of exchanges) {
+        const key = requestKey(exchange.request);
+        if (!queues.has(key)) {
+            queues.set(key, []);
+        }
+        queues.get(key).push(exchange.response);
+    }
+
+    return async config => {
+        const request = describeRequest(config);
+        const queue = queues.get(requestKey(JSON.parse(JSON.stringify(request))));
+        if (!queue) {
+            throw new Error(`No recorded response for ${request.method} ${request.url}`);
+        }
+        const response = queue.length > 1 ? queue.shift() : queue[0];
+        return settleResponse(config, JSON.parse(JSON.stringify(response)));
+    };
+}
+
+module.exports = {
+    settleResponse,
+    createRecordingTransport,
+    createReplayTransport
+};
@@ -0,0 +1,200 @@
+// Type tests for product_api.d.ts, checked against the real module with `npm run test:types`.
+// Nothing here runs; each function only has to compile, and every @ts-expect-error must be an error.
+
+import ProductApi = require('../product_api');
+import { MockServer, ValidationError, createReplayTransport, MemoryImageCache } from '../product_api';
+
+const product: ProductApi.ProductInput = {
+    categoryName: 'Accounts',
+    subcategoryName: 'Instagram Accounts',
+    sourceProductId: 'PROD-1',
+    name: 'Instagram Account',
+    productType: 'manual',
+    subproducts: [{ sourceProductId: 'SUB-1', sourceName: 'Small', price: 9.99, stock: 5 }]
+};
+
+async function results(api: ProductApi) {
+    const added = await api.addProduct({ ...product, image: { imageUrl: 'https://example.com/a.png' } });
+    // @ts-expect-error data is only available once success is checked
+    added.data.friendlyId;
+    if (added.success) {
+        const friendlyId: number = added.data.friendlyId;
+        const attempts: number = added.attempts;
+    } else {
+        const message: string = added.message;
+        const status: number | null = added.status;
+    }
+
+    // @ts-expect-error productType is a union
+    await api.addProduct({ ...product, productType: 'other' });
+    await api.addProduct(product, { force: true, applyDefaults: false, categoryCheck: false, priceRules: false, currency: 'EUR' });
+
+    const list = await api.getProducts({ productType: 'auto,manual', isActive: false }, { timeout: 2000 });
+    if (list.success) {
+        list.data.products[0].subproducts[0].price.toFixed(2);
+        const slug: string = list.data.products[0].category.slug;
+        const attempts: number = list.attempts;
+    }
+    await api.deleteProduct(1001, { headers: { 'x-trace': '1' } });
+}
+
+async function catalog(api: ProductApi) {
+    for await (const item of api.iterateProducts({ pageSize: 10 })) {
+        const friendlyId: number = item.friendlyId;
+    }
+
+    const all = await api.getAllProducts();
+    if (all.success) {
+        const aborted: boolean = all.aborted;
+        // @ts-expect-error results combining several requests have no attempts count
+        all.attempts;
+    }
+
+    const found = await api.findProducts({ name: /gmail/i, sort: ['-price', 'name'], zeroStock: true, updatedAfter: new Date() }, { maxAge: 1000 });
+    if (found.success) {
+        const total: number = found.data.total;
+        // @ts-expect-error answered from the cached catalog
+        found.attempts;
+    }
+    await api.findProducts({ provider: 'acme' }, { snapshot: './backups/catalog.json' });
+
+    const one = await api.getProductBySourceId('PROD-1', { refresh: true });
+    if (one.success && one.data) {
+        const friendlyId: number = one.data.friendlyId;
+    }
+    await api.getProductByFriendlyId(1001);
+
+    const index = new ProductApi.ProductIndex([product]);
+    index.find({ sort: 'name' }).products[0].name;
+
+    const categories = await api.getCategories({ refresh: true });
+    if (categories.success) {
+        categories.data.categories[0].subcategories[0].slug;
+    }
+    const mapper = await api.createCategoryMapper({ gmail: 'Email / Gmail', ig: { categoryName: 'Accounts', subcategoryName: 'Instagram Accounts' } });
+    const target: ProductApi.CategoryTarget = mapper.map('gmail');
+    mapper.suggest('gmial', { limit: 1 })[0].score;
+}
+
+async function updates(api: ProductApi) {
+    const stock = await api.updateStock('PROD-1', { 'SUB-1': 1 });
+    if (stock.success && !stock.unchanged) {
+        stock.changes[0].path;
+    }
+    await api.updatePrices('PROD-1', { 'SUB-1': 10 });
+
+    const bulk = await api.addProducts([product], { concurrency: 2, onProgress: progress => progress.eta });
+    bulk.results[0].status;
+
+    const sync = await api.syncCatalog([product], { missingPolicy: 'delete', applyDefaults: false });
+    if (sync.success && 'plan' in sync) {
+        sync.summary.create;
+    }
+
+    const deleted = await api.safeDeleteProduct(1001, { sourceProductId: 'PROD-1', mode: 'delete' });
+    if (deleted.success) {
+        deleted.snapshotPath;
+    }
+    // @ts-expect-error a sourceProductId or name confirms the product
+    await api.safeDeleteProduct(1001, { mode: 'delete' });
+    await api.restoreProduct('./deleted/PROD-1.json');
+}
+
+async function images(api: ProductApi) {
+    const upload = await api.uploadImage({ filePath: './a.png', optimize: async buffer => buffer });
+    if (upload.success) {
+        const imagePath: string = upload.data.imagePath;
+    }
+    // @ts-expect-error one image source is required
+    await api.uploadImage({});
+}
+
+async function priceRules(api: ProductApi) {
+    const rules = new ProductApi.PriceRules({
+        currency: 'EUR',
+        rates: { EUR: 1.1 },
+        defaults: { markup: { percent: 20 }, rounding: { mode: 'up', step: 1, ending: 0.99 } },
+        rules: [{ name: 'cheap email', match: { categoryName: ['Email'], maxCost: 2 }, min: 0.5 }]
+    });
+    const applied: ProductApi.ProductInput = rules.apply(product, { currency: 'EUR' });
+    rules.explain(applied).map(row => row.price);
+
+    const preview = await api.previewPrices([product], { priceRules: rules });
+    if (preview.success) {
+        preview.data.rows.forEach(row => (row.oldPrice === null ? row.newPrice : row.changed));
+    }
+    // @ts-expect-error unknown rounding mode
+    new ProductApi.PriceRules({ defaults: { rounding: { mode: 'ceil' } } });
+}
+
+async function changeDetection() {
+    const api = new ProductApi('key', {
+        changeStore: new ProductApi.JsonFileChangeStore('./changes.json'),
+        onProductChange: info => console.log(info.sourceProductId, info.firstSeen, info.changes.length)
+    });
+    const seeded = await api.seedChangeStore({ snapshot: './backups/catalog.json' });
+    if (seeded.success) {
+        const count: number = seeded.seeded;
+    }
+    await api.invalidateChangeStore('PROD-1');
+    new ProductApi('key', { changeStore: new ProductApi.MemoryChangeStore({ maxAge: 24 * 60 * 60 * 1000 }) });
+    const fingerprint: string = ProductApi.fingerprintProduct(product);
+}
+
+async function accounts() {
+    const manager = new ProductApi.ClientManager({
+        defaults: { logLevel: 'info' },
+        rateLimit: { requestsPerSecond: 5 },
+        maxSockets: 8,
+        accounts: { a: { apikey: 'key-a' }, b: { apikey: 'key-b', baseUrl: ProductApi.DEFAULT_BASE_URL } }
+    });
+    const api: ProductApi = manager.addAccount('c', { apikey: 'key-c', timeout: 1000 });
+    api.withOptions({ categoryCheck: false, priceRules: false, timeout: 5 });
+
+    const copy = await manager.copyProduct('a', 'b', 'PROD-1', { overrides: { active: false } });
+    if (copy.success) {
+        copy.data.friendlyId;
+    }
+    const mirror = await manager.mirrorProducts('a', 'b', { query: { provider: 'acme' }, dryRun: true });
+    if ('plan' in mirror) {
+        mirror.summary.create;
+    }
+
+    const limiter = new ProductApi.RateLimiter({ maxConcurrent: 2 });
+    const value: number = await limiter.schedule(async () => 1);
+    new ProductApi('key', { rateLimiter: limiter });
+    new ProductApi('key', { rateLimiter: { requestsPerSecond: 1 } });
+    manager.destroy();
+}
+
+async function clientSetup() {
+    const mock = new MockServer({ apikey: 'key' });
+    new ProductApi('key', {
+        transport: mock.transport,
+        logger: null,
+        imageCache: new MemoryImageCache({ maxAge: 1000 }),
+        retry: { maxAttempts: 2 },
+        proxy: 'http://proxy:8080',
+        keepAlive: true
+    });
+    new ProductApi('key', { transport: createReplayTransport('./recording.json'), baseUrl: 'http://localhost:3000' });
+    const pino = { debug: (meta: object, message: string) => {}, info: () => {}, warn: () => {}, error: () => {} };
+    new ProductApi('key', { logger: ProductApi.pinoLogger(pino), logLevel: 'info' });
+
+    try {
+        await new ProductApi('key', { throwOnError: true }).deleteProduct(1);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            error.errors[0].path;
+        }
+        if (error instanceof ProductApi.RateLimitError) {
+            error.retryAfter;
+        }
+    }
+    ProductApi.validateProduct({}).errors;
+
+    const server = await mock.listen();
+    await server.close();
+}
+
+export { results, catalog, updates, images, priceRules, changeDetection, accounts, clientSetup };